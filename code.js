@@ -9,9 +9,10 @@
 // KEY FEATURES:
 //   - Users can select which specific variables to move
 //   - "Select All" option for quick selection
-//   - Duplicate detection prevents naming conflicts
+//   - Duplicate names can be skipped, renamed, merged or overwritten
 //   - All variable types supported (COLOR, NUMBER, STRING, BOOLEAN)
 //   - Layer bindings are automatically updated
+//   - Styles bound to moved variables are updated too
 //   - Variable scopes are preserved
 //   - Variable aliases (links to other variables) are properly handled
 //
@@ -64,12 +65,21 @@ async function getVariablesInCollection(collectionId) {
     return [];
   }
   
+  // One call for all local variables is much faster on big files
+  // than looking each variable up by ID
+  const variablesById = {};
+  for (const variable of await figma.variables.getLocalVariablesAsync()) {
+    if (variable.variableCollectionId === collection.id) {
+      variablesById[variable.id] = variable;
+    }
+  }
+  
+  // Keep the collection's own order
   const variables = [];
   
   for (const variableId of collection.variableIds) {
-    const variable = await figma.variables.getVariableByIdAsync(variableId);
-    if (variable) {
-      variables.push(variable);
+    if (variablesById[variableId]) {
+      variables.push(variablesById[variableId]);
     }
   }
   
@@ -78,674 +88,5975 @@ async function getVariablesInCollection(collectionId) {
 
 
 // --------------------------------------------
-// HELPER: Get Variable Names in a Collection
+// HELPER: Get Variables by Name in a Collection
 // --------------------------------------------
+//
+// Returns a Map of name → variable so we can look up the
+// existing variable when resolving a naming conflict.
 
-async function getVariableNamesInCollection(collectionId) {
+async function getVariablesByNameInCollection(collectionId) {
   const variables = await getVariablesInCollection(collectionId);
   
-  const names = new Set();
+  const variablesByName = new Map();
   for (const variable of variables) {
-    names.add(variable.name);
+    variablesByName.set(variable.name, variable);
   }
   
-  return names;
+  return variablesByName;
 }
 
 
 // --------------------------------------------
-// HELPER: Find Duplicate Names Between Collections
+// TARGET NAMES
+// --------------------------------------------
+//
+// Variable names are slash paths ("color/brand/primary"); everything
+// before the last slash is the variable's group. A move can put
+// variables under a different group, e.g. "color/brand/*" → "brand/*".
+//
+// Names can also be normalized on the way: find/replace (plain text
+// or regex) and a case transform applied to every path segment.
+// The steps run in this order: group → find/replace → case.
+//
+// Name options (sent by the UI with check-duplicates, preview-names,
+// preview-move and move-variables):
+//
+//   {
+//     groupRename:   { from: 'color/brand', to: 'brand' } or null
+//     findReplace:   { pattern: RegExp, replace: '$1-x' } or null
+//     caseTransform: 'camel' | 'pascal' | 'kebab' | 'snake' |
+//                    'lower' | 'upper' | null
+//     error:         message if the find pattern is invalid
+//   }
+
+
+// --------------------------------------------
+// HELPER: Normalize a Group Path
+// --------------------------------------------
+//
+// Trims spaces and leading/trailing slashes: " /color/brand/ " → "color/brand"
+
+function normalizeGroupPath(path) {
+  return String(path || '').trim().replace(/^\/+|\/+$/g, '');
+}
+
+
+// --------------------------------------------
+// HELPER: Get Name Options From a UI Message
 // --------------------------------------------
 
-function findDuplicateNames(sourceVariables, destinationNames) {
+function getNameOptions(msg) {
   
-  const duplicates = [];
-  const canMove = [];
+  const groupRename = msg.groupRename;
+  const from = groupRename ? normalizeGroupPath(groupRename.from) : '';
   
-  for (const variable of sourceVariables) {
-    if (destinationNames.has(variable.name)) {
-      duplicates.push(variable);
-    } else {
-      canMove.push(variable);
+  const nameOptions = {
+    groupRename: from ? { from: from, to: normalizeGroupPath(groupRename.to) } : null,
+    findReplace: null,
+    caseTransform: CASE_TRANSFORMS[msg.caseTransform] ? msg.caseTransform : null,
+    error: null
+  };
+  
+  // msg.findReplace: { find, replace, regex, caseSensitive }
+  const findReplace = msg.findReplace;
+  
+  if (findReplace && findReplace.find) {
+    const flags = findReplace.caseSensitive ? 'g' : 'gi';
+    const source = findReplace.regex
+      ? findReplace.find
+      : findReplace.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    
+    try {
+      nameOptions.findReplace = {
+        pattern: new RegExp(source, flags),
+        // Plain text replacements are used as-is ("$" has no meaning)
+        replace: findReplace.regex ? (findReplace.replace || '') : (findReplace.replace || '').replace(/\$/g, '$$$$')
+      };
+    } catch (error) {
+      nameOptions.error = 'Invalid find pattern: ' + error.message;
     }
   }
   
-  return { duplicates, canMove };
+  return nameOptions;
 }
 
 
 // --------------------------------------------
-// HELPER: Create a New Variable (Without Values)
+// CASE TRANSFORMS
 // --------------------------------------------
 //
-// This creates a new variable in the destination collection
-// but does NOT set its values yet. We do this in two phases
-// so we can properly handle variable aliases.
+// Applied to each segment of the path separately, so groups keep
+// their slashes: "button-bg/hover-state" → "buttonBg/hoverState".
+// Words are split on spaces, "-", "_" and camelCase humps.
+
+function splitWords(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s_\-]+/)
+    .filter(function(word) {
+      return word !== '';
+    });
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+const CASE_TRANSFORMS = {
+  camel: function(segment) {
+    return splitWords(segment).map(function(word, index) {
+      return index === 0 ? word.toLowerCase() : capitalize(word);
+    }).join('');
+  },
+  pascal: function(segment) {
+    return splitWords(segment).map(capitalize).join('');
+  },
+  kebab: function(segment) {
+    return splitWords(segment).join('-').toLowerCase();
+  },
+  snake: function(segment) {
+    return splitWords(segment).join('_').toLowerCase();
+  },
+  lower: function(segment) {
+    return segment.toLowerCase();
+  },
+  upper: function(segment) {
+    return segment.toUpperCase();
+  }
+};
+
+
+// --------------------------------------------
+// HELPER: Rewrite a Group Prefix
+// --------------------------------------------
 //
-// Phase 1: Create all variables (build ID mapping)
-// Phase 2: Set all values (can now resolve alias references)
+// rewriteGroupPrefix('color/brand/primary', 'color/brand', 'brand') → 'brand/primary'
+// rewriteGroupPrefix('color/brand/primary', 'color/brand', '')      → 'primary'
+// Names outside the group are returned unchanged.
 
-async function createVariableInCollection(originalVariable, destinationCollection) {
+function rewriteGroupPrefix(name, fromGroup, toGroup) {
   
-  // Create the new variable
-  const newVariable = figma.variables.createVariable(
-    originalVariable.name,
-    destinationCollection,
-    originalVariable.resolvedType
-  );
+  if (name.indexOf(fromGroup + '/') !== 0) {
+    return name;
+  }
   
-  // Copy the description
-  if (originalVariable.description) {
-    newVariable.description = originalVariable.description;
+  const rest = name.slice(fromGroup.length + 1);
+  return toGroup ? toGroup + '/' + rest : rest;
+}
+
+
+// --------------------------------------------
+// HELPER: Get the Name a Variable Will Have After the Move
+// --------------------------------------------
+
+function getTargetName(variable, nameOptions) {
+  
+  let name = variable.name;
+  
+  if (nameOptions && nameOptions.groupRename) {
+    name = rewriteGroupPrefix(name, nameOptions.groupRename.from, nameOptions.groupRename.to);
   }
   
-  // Copy the hiddenFromPublishing setting
-  newVariable.hiddenFromPublishing = originalVariable.hiddenFromPublishing;
+  if (nameOptions && nameOptions.findReplace) {
+    name = name.replace(nameOptions.findReplace.pattern, nameOptions.findReplace.replace);
+  }
   
-  // Copy scopes (controls which properties the variable can be applied to)
-  if (originalVariable.scopes && originalVariable.scopes.length > 0) {
-    newVariable.scopes = originalVariable.scopes;
+  if (nameOptions && nameOptions.caseTransform) {
+    name = name.split('/').map(CASE_TRANSFORMS[nameOptions.caseTransform]).join('/');
   }
   
-  // Copy the code syntax if it exists
-  if (originalVariable.codeSyntax) {
-    // codeSyntax is an object like { WEB: "var(--color-primary)", ANDROID: "@color/primary" }
-    for (const platform in originalVariable.codeSyntax) {
-      newVariable.setVariableCodeSyntax(platform, originalVariable.codeSyntax[platform]);
+  return name;
+}
+
+
+// --------------------------------------------
+// HELPER: Check a Target Name
+// --------------------------------------------
+//
+// A rename can leave nothing behind, or an empty group ("a//b").
+// Returns an error message, or null when the name is fine.
+
+function checkTargetName(name) {
+  if (!name.trim()) {
+    return 'the new name would be empty';
+  }
+  if (name.split('/').some(function(part) { return part.trim() === ''; })) {
+    return '"' + name + '" has an empty group';
+  }
+  return null;
+}
+
+
+// --------------------------------------------
+// HELPER: Find Duplicate Names Between Collections
+// --------------------------------------------
+//
+// Compares the names the variables will have AFTER the move
+// (see getTargetName) with the names in the destination.
+
+function findDuplicateNames(sourceVariables, destinationNames, nameOptions) {
+  
+  const duplicates = [];
+  const canMove = [];
+  
+  for (const variable of sourceVariables) {
+    if (destinationNames.has(getTargetName(variable, nameOptions))) {
+      duplicates.push(variable);
+    } else {
+      canMove.push(variable);
     }
   }
   
-  return newVariable;
+  return { duplicates, canMove };
 }
 
 
 // --------------------------------------------
-// HELPER: Copy Variable Values (With Alias Support)
+// CONFLICT STRATEGIES
 // --------------------------------------------
 //
-// This copies the values from the original variable to the new variable.
-// It properly handles variable aliases (links to other variables).
+// What to do when a variable with the same name already exists
+// in the destination:
 //
-// ALIAS HANDLING:
-// When a value is an alias (link to another variable), we need to check:
-//   1. Is the referenced variable ALSO being moved?
-//      → Yes: Update the alias to point to the NEW variable ID
-//      → No: Keep the alias pointing to the original variable
+//   skip      → Leave the variable where it is (the original behavior)
+//   rename    → Move it anyway as "name (2)", "name (3)", ...
+//   merge     → Point layers and aliases at the EXISTING destination
+//               variable, then delete the source variable
+//   overwrite → Same as merge, but the destination variable's values
+//               are replaced with the source variable's values
+//
+// Merge and overwrite need both variables to have the same type.
+
+const CONFLICT_STRATEGIES = ['skip', 'rename', 'merge', 'overwrite'];
+
+
+// --------------------------------------------
+// HELPER: Resolve the Conflict Strategy for a Variable
+// --------------------------------------------
+//
+// A per-variable choice wins over the global one. Merge and
+// overwrite fall back to skip when the types don't match.
 //
 // Parameters:
-//   - originalVariable: The source variable to copy values from
-//   - newVariable: The destination variable to copy values to
-//   - destinationCollection: The collection we're moving to
-//   - idMapping: Object mapping old variable IDs to new variable objects
+//   - variable: The source variable with a duplicate name
+//   - existingVariable: The destination variable with the same name
+//   - globalStrategy: The strategy chosen for all conflicts
+//   - strategiesById: Object mapping variable ID → strategy (optional)
 
-async function copyVariableValues(originalVariable, newVariable, destinationCollection, idMapping) {
+function resolveConflictStrategy(variable, existingVariable, globalStrategy, strategiesById) {
   
-  const destinationModes = destinationCollection.modes;
-  const originalValues = originalVariable.valuesByMode;
-  const originalModeIds = Object.keys(originalValues);
+  let strategy = strategiesById && strategiesById[variable.id] ? strategiesById[variable.id] : globalStrategy;
   
-  for (let i = 0; i < destinationModes.length; i++) {
-    const destinationMode = destinationModes[i];
-    
-    if (i < originalModeIds.length) {
-      const originalModeId = originalModeIds[i];
-      const originalValue = originalValues[originalModeId];
-      
-      // ===== HANDLE VARIABLE ALIASES =====
-      //
-      // An alias is when a variable's value is linked to another variable.
-      // In Figma's API, this looks like:
-      //   { type: 'VARIABLE_ALIAS', id: 'VariableID:123:456' }
-      //
-      // We need to handle two cases:
-      //
-      // CASE 1: The referenced variable is ALSO being moved
-      //   → We need to update the alias to point to the NEW variable ID
-      //   → Example: "color-01-duplicate" links to "color-01"
-      //              Both are being moved from Collection A to B
-      //              The alias should now point to "color-01" in Collection B
-      //
-      // CASE 2: The referenced variable is NOT being moved
-      //   → Keep the alias pointing to the original variable
-      //   → This creates a cross-collection reference
-      //   → Example: "color-01-duplicate" links to "color-01"
-      //              Only "color-01-duplicate" is being moved
-      //              It should still link to "color-01" in the original collection
-      
-      if (originalValue && typeof originalValue === 'object' && originalValue.type === 'VARIABLE_ALIAS') {
-        
-        const referencedVariableId = originalValue.id;
-        
-        // Check if the referenced variable is also being moved
-        if (idMapping[referencedVariableId]) {
-          
-          // CASE 1: Referenced variable IS being moved
-          // Create a new alias pointing to the NEW variable
-          const newReferencedVariable = idMapping[referencedVariableId];
-          
-          const newAlias = figma.variables.createVariableAlias(newReferencedVariable);
-          newVariable.setValueForMode(destinationMode.modeId, newAlias);
-          
-          console.log('  Updated alias:', originalVariable.name, '→ new reference');
-          
-        } else {
-          
-          // CASE 2: Referenced variable is NOT being moved
-          // Keep the original alias (cross-collection reference)
-          // We need to check if the referenced variable still exists
-          
-          try {
-            const referencedVariable = await figma.variables.getVariableByIdAsync(referencedVariableId);
-            
-            if (referencedVariable) {
-              // The referenced variable exists, create alias to it
-              const alias = figma.variables.createVariableAlias(referencedVariable);
-              newVariable.setValueForMode(destinationMode.modeId, alias);
-              
-              console.log('  Kept alias:', originalVariable.name, '→', referencedVariable.name, '(cross-collection)');
-            } else {
-              // Referenced variable doesn't exist anymore
-              // Skip this value (will use default)
-              console.warn('  Warning: Referenced variable not found for', originalVariable.name);
-            }
-          } catch (error) {
-            console.error('  Error resolving alias for', originalVariable.name, error);
-          }
-        }
-        
-      } else {
-        
-        // ===== HANDLE NORMAL VALUES =====
-        // Not an alias, just copy the value directly
-        newVariable.setValueForMode(destinationMode.modeId, originalValue);
-      }
-    }
+  if (CONFLICT_STRATEGIES.indexOf(strategy) === -1) {
+    strategy = 'skip';
+  }
+  
+  if ((strategy === 'merge' || strategy === 'overwrite') &&
+      existingVariable.resolvedType !== variable.resolvedType) {
+    console.warn('  Cannot', strategy, variable.name, '- types differ, skipping');
+    strategy = 'skip';
   }
+  
+  return strategy;
 }
 
 
 // --------------------------------------------
-// HELPER: Find All Variable Bindings in Document
+// HELPER: Get a Unique Name With a Suffix
 // --------------------------------------------
+//
+// "color/primary" → "color/primary (2)" → "color/primary (3)" ...
+// The chosen name is added to takenNames so two renamed
+// variables never end up with the same name.
 
-async function findAllVariableBindings(variableIds) {
+function getUniqueName(name, takenNames) {
   
-  const targetVariableIds = new Set(variableIds);
-  const allBindings = [];
+  let counter = 2;
+  let candidate = name + ' (' + counter + ')';
   
-  for (const page of figma.root.children) {
-    // Load the page first (required by Figma API)
-    await page.loadAsync();
-    
-    const allNodes = page.findAll();
-    
-    for (const node of allNodes) {
-      if (!('boundVariables' in node) || !node.boundVariables) {
-        continue;
-      }
-      
-      const boundVars = node.boundVariables;
-      
-      for (const propertyName in boundVars) {
-        const binding = boundVars[propertyName];
-        
-        if (Array.isArray(binding)) {
-          for (let index = 0; index < binding.length; index++) {
-            const item = binding[index];
-            if (item && item.id && targetVariableIds.has(item.id)) {
-              allBindings.push({
-                node: node,
-                property: propertyName,
-                variableId: item.id,
-                bindingIndex: index,
-                isArrayBinding: true
-              });
-            }
-          }
-        } else if (binding && binding.id && targetVariableIds.has(binding.id)) {
-          allBindings.push({
-            node: node,
-            property: propertyName,
-            variableId: binding.id,
-            bindingIndex: null,
-            isArrayBinding: false
-          });
-        }
-      }
-    }
+  while (takenNames.has(candidate)) {
+    counter++;
+    candidate = name + ' (' + counter + ')';
   }
   
-  return allBindings;
+  takenNames.add(candidate);
+  return candidate;
 }
 
 
 // --------------------------------------------
-// HELPER: Rebind a Variable Reference
+// HELPER: Compare Two Variable Values
 // --------------------------------------------
+//
+// Values can be numbers, strings, booleans, colors ({ r, g, b, a })
+// or aliases ({ type: 'VARIABLE_ALIAS', id }). Colors are compared
+// with a small tolerance because they are stored as floats.
 
-async function rebindVariable(node, property, newVariable, bindingIndex, isArrayBinding) {
+function areValuesEqual(a, b) {
   
-  try {
-    if (!isArrayBinding) {
-      if ('setBoundVariable' in node) {
-        node.setBoundVariable(property, newVariable);
-        return true;
-      }
+  if (a === b) {
+    return true;
+  }
+  
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  
+  if (a.type === 'VARIABLE_ALIAS' || b.type === 'VARIABLE_ALIAS') {
+    return a.type === b.type && a.id === b.id;
+  }
+  
+  const channels = ['r', 'g', 'b', 'a'];
+  for (const channel of channels) {
+    const valueA = channel in a ? a[channel] : 1;
+    const valueB = channel in b ? b[channel] : 1;
+    if (Math.abs(valueA - valueB) > 0.001) {
       return false;
     }
-    
-    if (property === 'fills' && 'fills' in node) {
-      const currentFills = node.fills;
-      if (!Array.isArray(currentFills) || bindingIndex >= currentFills.length) {
-        return false;
-      }
-      const newFills = JSON.parse(JSON.stringify(currentFills));
-      newFills[bindingIndex] = figma.variables.setBoundVariableForPaint(
-        newFills[bindingIndex],
-        'color',
-        newVariable
-      );
-      node.fills = newFills;
-      return true;
-    }
-    
-    if (property === 'strokes' && 'strokes' in node) {
-      const currentStrokes = node.strokes;
-      if (!Array.isArray(currentStrokes) || bindingIndex >= currentStrokes.length) {
-        return false;
-      }
-      const newStrokes = JSON.parse(JSON.stringify(currentStrokes));
-      newStrokes[bindingIndex] = figma.variables.setBoundVariableForPaint(
-        newStrokes[bindingIndex],
-        'color',
-        newVariable
-      );
-      node.strokes = newStrokes;
-      return true;
-    }
-    
-    if (property === 'effects' && 'effects' in node) {
-      const currentEffects = node.effects;
-      if (!Array.isArray(currentEffects) || bindingIndex >= currentEffects.length) {
-        return false;
-      }
-      const newEffects = JSON.parse(JSON.stringify(currentEffects));
-      newEffects[bindingIndex] = figma.variables.setBoundVariableForEffect(
-        newEffects[bindingIndex],
-        'color',
-        newVariable
-      );
-      node.effects = newEffects;
-      return true;
-    }
-    
-    return false;
-    
-  } catch (error) {
-    console.error('Failed to rebind variable:', property, error);
-    return false;
   }
+  
+  return true;
 }
 
 
 // --------------------------------------------
-// HELPER: Convert Figma Type to Display Name
+// HELPER: Check if Two Variables Have the Same Values
 // --------------------------------------------
+//
+// Compares every destination mode with the source mode the
+// mode plan says it would be copied from.
 
-function getDisplayTypeName(figmaType) {
-  if (figmaType === 'FLOAT') {
-    return 'NUMBER';
+function variableValuesMatch(sourceVariable, destinationVariable, modePlan) {
+  
+  if (sourceVariable.resolvedType !== destinationVariable.resolvedType) {
+    return false;
   }
-  return figmaType;
+  
+  for (const destinationModeId in modePlan) {
+    const sourceValue = sourceVariable.valuesByMode[modePlan[destinationModeId]];
+    const destinationValue = destinationVariable.valuesByMode[destinationModeId];
+    
+    if (!areValuesEqual(sourceValue, destinationValue)) {
+      return false;
+    }
+  }
+  
+  return true;
 }
 
 
-// ============================================
-// STEP 3: LISTEN FOR MESSAGES FROM THE UI
-// ============================================
+// --------------------------------------------
+// MODE MAPPING
+// --------------------------------------------
+//
+// A mode mapping tells us, for each SOURCE mode, where its values go
+// in the destination collection. It is an object like:
+//
+//   {
+//     '1:0': '5:0',          → copy "Light" values into destination mode 5:0
+//     '1:1': '__create__',   → create a new "Dark" mode in the destination
+//     '1:2': ''              → don't copy this mode's values
+//   }
+//
+// Mode IDs always look like "1:0", so the special value below
+// can never clash with a real mode ID.
 
-figma.ui.on('message', async function(msg) {
+const CREATE_MODE = '__create__';
+
+
+// --------------------------------------------
+// HELPER: Build Default Mode Mapping
+// --------------------------------------------
+//
+// Suggests a mapping the user can then adjust in the UI:
+//   1. Modes with the same name are matched ("Dark" → "Dark")
+//   2. Remaining modes are paired in order (keeps single-mode
+//      collections like "Mode 1" → "Value" working)
+//   3. Anything still unmatched gets a new mode in the destination
+//
+// Parameters:
+//   - sourceModes: Array of { modeId, name } from the source collection
+//   - destinationModes: Array of { modeId, name } from the destination
+
+function buildDefaultModeMapping(sourceModes, destinationModes) {
   
-  // ============================================
-  // MESSAGE TYPE: 'get-collections'
-  // ============================================
+  const mapping = {};
+  const usedDestinationIds = new Set();
   
-  if (msg.type === 'get-collections') {
-    const collections = await getAllCollections();
+  // Step 1: Match by name (case-insensitive)
+  for (const sourceMode of sourceModes) {
+    const sourceName = sourceMode.name.trim().toLowerCase();
+    
+    const match = destinationModes.find(function(destinationMode) {
+      return !usedDestinationIds.has(destinationMode.modeId) &&
+             destinationMode.name.trim().toLowerCase() === sourceName;
+    });
+    
+    if (match) {
+      mapping[sourceMode.modeId] = match.modeId;
+      usedDestinationIds.add(match.modeId);
+    }
+  }
+  
+  // Step 2 & 3: Pair the leftovers by position, create the rest
+  const freeDestinationModes = destinationModes.filter(function(destinationMode) {
+    return !usedDestinationIds.has(destinationMode.modeId);
+  });
+  
+  for (const sourceMode of sourceModes) {
+    if (mapping[sourceMode.modeId]) {
+      continue;
+    }
+    
+    const nextFreeMode = freeDestinationModes.shift();
+    mapping[sourceMode.modeId] = nextFreeMode ? nextFreeMode.modeId : CREATE_MODE;
+  }
+  
+  return mapping;
+}
+
+
+// --------------------------------------------
+// HELPER: Normalize a Mode Mapping From the UI
+// --------------------------------------------
+//
+// Makes sure every source mode has an entry and that every
+// destination mode ID actually exists. Missing entries fall
+// back to the default mapping.
+
+function normalizeModeMapping(sourceCollection, destinationCollection, requestedMapping) {
+  
+  const defaults = buildDefaultModeMapping(sourceCollection.modes, destinationCollection.modes);
+  const destinationModeIds = new Set(destinationCollection.modes.map(function(mode) {
+    return mode.modeId;
+  }));
+  
+  const mapping = {};
+  
+  for (const sourceMode of sourceCollection.modes) {
+    let target = requestedMapping ? requestedMapping[sourceMode.modeId] : undefined;
+    
+    if (target === undefined) {
+      target = defaults[sourceMode.modeId];
+    }
+    
+    if (target !== CREATE_MODE && target !== '' && !destinationModeIds.has(target)) {
+      console.warn('  Unknown destination mode for', sourceMode.name, '- using default mapping');
+      target = defaults[sourceMode.modeId];
+    }
+    
+    mapping[sourceMode.modeId] = target;
+  }
+  
+  return mapping;
+}
+
+
+// --------------------------------------------
+// HELPER: Create Missing Modes in the Destination
+// --------------------------------------------
+//
+// For every source mode mapped to CREATE_MODE, adds a mode with the
+// same name to the destination collection and updates the mapping
+// to point at it.
+//
+// Note: addMode() throws if the file's plan doesn't allow more modes,
+// which can happen after some modes were already added. Those are
+// removed again (and the mapping restored) before the error bubbles
+// up, so the caller can stop with the destination unchanged.
+//
+// Returns an array of { modeId, name } for the modes that were created.
+
+function createMappedModes(sourceCollection, destinationCollection, mapping) {
+  
+  const createdModes = [];
+  
+  for (const sourceMode of sourceCollection.modes) {
+    if (mapping[sourceMode.modeId] !== CREATE_MODE) {
+      continue;
+    }
+    
+    try {
+      const newModeId = destinationCollection.addMode(sourceMode.name);
+      mapping[sourceMode.modeId] = newModeId;
+      createdModes.push({ modeId: newModeId, name: sourceMode.name, sourceModeId: sourceMode.modeId });
+      
+      console.log('  Created mode:', sourceMode.name);
+      
+    } catch (error) {
+      for (const mode of createdModes) {
+        try {
+          destinationCollection.removeMode(mode.modeId);
+        } catch (removeError) {
+          console.error('  Could not remove mode', mode.name, removeError);
+        }
+        mapping[mode.sourceModeId] = CREATE_MODE;
+      }
+      throw error;
+    }
+  }
+  
+  return createdModes;
+}
+
+
+// --------------------------------------------
+// HELPER: Build the Value Plan for Each Destination Mode
+// --------------------------------------------
+//
+// Turns the mapping (source → destination) around so we know, for
+// EVERY destination mode, which source mode to read the value from:
+//
+//   { '<destinationModeId>': '<sourceModeId>' }
+//
+// Destination modes that no source mode maps to use the fallback
+// source mode (the source collection's default mode if none is given).
+
+function buildModeValuePlan(sourceCollection, destinationCollection, mapping, fallbackModeId) {
+  
+  const sourceModeIds = new Set(sourceCollection.modes.map(function(mode) {
+    return mode.modeId;
+  }));
+  
+  if (!fallbackModeId || !sourceModeIds.has(fallbackModeId)) {
+    fallbackModeId = sourceCollection.defaultModeId;
+  }
+  
+  const plan = {};
+  
+  // First source mode mapped to a destination mode wins
+  for (const sourceMode of sourceCollection.modes) {
+    const destinationModeId = mapping[sourceMode.modeId];
+    if (destinationModeId && destinationModeId !== CREATE_MODE && !plan[destinationModeId]) {
+      plan[destinationModeId] = sourceMode.modeId;
+    }
+  }
+  
+  // Unmatched destination modes use the fallback
+  for (const destinationMode of destinationCollection.modes) {
+    if (!plan[destinationMode.modeId]) {
+      plan[destinationMode.modeId] = fallbackModeId;
+    }
+  }
+  
+  return plan;
+}
+
+
+// --------------------------------------------
+// NEW DESTINATION COLLECTION
+// --------------------------------------------
+//
+// Instead of picking an existing destination, the UI can ask for a
+// brand-new collection by sending (with no destinationCollectionId):
+//
+//   newCollection: {
+//     name: 'Spacing',
+//     modeNames: { '1:0': 'Light', '1:1': 'Dark' }  → source mode ID → name
+//   }
+//
+// Every source mode gets a mode in the new collection (with the same
+// name unless renamed), so values map one-to-one.
+//
+// The preview uses a stand-in object (describeNewCollection) so
+// nothing is created until the user confirms the move.
+
+const NEW_COLLECTION = '__new__';
+
+
+// --------------------------------------------
+// HELPER: Get the Mode Names for a New Collection
+// --------------------------------------------
+
+function getNewCollectionModeNames(sourceCollection, options) {
+  const modeNames = options.modeNames || {};
+  
+  return sourceCollection.modes.map(function(mode) {
+    const name = (modeNames[mode.modeId] || '').trim();
+    return name || mode.name;
+  });
+}
+
+
+// --------------------------------------------
+// HELPER: Describe a New Collection (Preview Only)
+// --------------------------------------------
+//
+// Looks enough like a VariableCollection for buildMovePlan() and
+// analyzeMoveImpact(). Its modes reuse the source mode IDs, so the
+// identity mapping (source mode → same ID) is valid.
+
+function describeNewCollection(sourceCollection, options) {
+  
+  const modeNames = getNewCollectionModeNames(sourceCollection, options);
+  
+  return {
+    id: NEW_COLLECTION,
+    name: options.name,
+    variableIds: [],
+    modes: sourceCollection.modes.map(function(mode, index) {
+      return { modeId: mode.modeId, name: modeNames[index] };
+    })
+  };
+}
+
+
+// --------------------------------------------
+// HELPER: Get the One-to-One Mode Mapping for a New Collection
+// --------------------------------------------
+//
+// newModeIds: destination mode IDs in source mode order
+
+function getNewCollectionModeMapping(sourceCollection, newModeIds) {
+  const mapping = {};
+  
+  sourceCollection.modes.forEach(function(mode, index) {
+    mapping[mode.modeId] = newModeIds[index];
+  });
+  
+  return mapping;
+}
+
+
+// --------------------------------------------
+// HELPER: Create the New Destination Collection
+// --------------------------------------------
+//
+// Creates the collection with one mode per source mode and returns
+// { collection, modeMapping }. If a mode can't be added (plan limit)
+// the half-made collection is removed and the error is rethrown.
+
+function createCollectionForMove(sourceCollection, options) {
+  
+  const modeNames = getNewCollectionModeNames(sourceCollection, options);
+  const collection = figma.variables.createVariableCollection(options.name);
+  
+  try {
+    // A new collection starts with one mode: reuse it for the first
+    const newModeIds = [collection.modes[0].modeId];
+    collection.renameMode(newModeIds[0], modeNames[0]);
+    
+    for (let i = 1; i < modeNames.length; i++) {
+      newModeIds.push(collection.addMode(modeNames[i]));
+    }
+    
+    return {
+      collection: collection,
+      modeMapping: getNewCollectionModeMapping(sourceCollection, newModeIds)
+    };
+    
+  } catch (error) {
+    collection.remove();
+    throw error;
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Create a New Variable (Without Values)
+// --------------------------------------------
+//
+// This creates a new variable in the destination collection
+// but does NOT set its values yet. We do this in two phases
+// so we can properly handle variable aliases.
+//
+// Phase 1: Create all variables (build ID mapping)
+// Phase 2: Set all values (can now resolve alias references)
+//
+// Pass a name to create the variable under a different name
+// (e.g. "color/primary (2)" when renaming a duplicate).
+
+async function createVariableInCollection(originalVariable, destinationCollection, name) {
+  
+  // Create the new variable
+  const newVariable = figma.variables.createVariable(
+    name || originalVariable.name,
+    destinationCollection,
+    originalVariable.resolvedType
+  );
+  
+  // Copy the description
+  if (originalVariable.description) {
+    newVariable.description = originalVariable.description;
+  }
+  
+  // Copy the hiddenFromPublishing setting
+  newVariable.hiddenFromPublishing = originalVariable.hiddenFromPublishing;
+  
+  // Copy scopes (controls which properties the variable can be applied to)
+  if (originalVariable.scopes && originalVariable.scopes.length > 0) {
+    newVariable.scopes = originalVariable.scopes;
+  }
+  
+  // Copy the code syntax if it exists
+  if (originalVariable.codeSyntax) {
+    // codeSyntax is an object like { WEB: "var(--color-primary)", ANDROID: "@color/primary" }
+    for (const platform in originalVariable.codeSyntax) {
+      newVariable.setVariableCodeSyntax(platform, originalVariable.codeSyntax[platform]);
+    }
+  }
+  
+  return newVariable;
+}
+
+
+// --------------------------------------------
+// HELPER: Copy Variable Values (With Alias Support)
+// --------------------------------------------
+//
+// This copies the values from the original variable to the new variable.
+// It properly handles variable aliases (links to other variables).
+//
+// ALIAS HANDLING:
+// When a value is an alias (link to another variable), we need to check:
+//   1. Is the referenced variable ALSO being moved?
+//      → Yes: Update the alias to point to the NEW variable ID
+//      → No: Keep the alias pointing to the original variable
+//            (or, when flattening, replace it with the raw value)
+//
+// Parameters:
+//   - originalVariable: The source variable to copy values from
+//   - newVariable: The destination variable to copy values to
+//   - modePlan: Object mapping each destination mode ID to the source
+//               mode ID to read from (see buildModeValuePlan)
+//   - idMapping: Object mapping old variable IDs to new variable objects
+//   - flatten (optional): { modeNames, flattened } to resolve aliases
+//               that leave the moved set, see resolveAliasValue().
+//               modeNames maps source mode IDs to names; every value
+//               written is added to flattened:
+//               [{ variableId, name, modeName, chain, value, error }]
+
+async function copyVariableValues(originalVariable, newVariable, modePlan, idMapping, flatten) {
+  
+  const originalValues = originalVariable.valuesByMode;
+  
+  for (const destinationModeId in modePlan) {
+    const originalModeId = modePlan[destinationModeId];
+    
+    if (originalModeId in originalValues) {
+      const originalValue = originalValues[originalModeId];
+      
+      // ===== HANDLE VARIABLE ALIASES =====
+      //
+      // An alias is when a variable's value is linked to another variable.
+      // In Figma's API, this looks like:
+      //   { type: 'VARIABLE_ALIAS', id: 'VariableID:123:456' }
+      //
+      // We need to handle two cases:
+      //
+      // CASE 1: The referenced variable is ALSO being moved
+      //   → We need to update the alias to point to the NEW variable ID
+      //   → Example: "color-01-duplicate" links to "color-01"
+      //              Both are being moved from Collection A to B
+      //              The alias should now point to "color-01" in Collection B
+      //
+      // CASE 2: The referenced variable is NOT being moved
+      //   → Keep the alias pointing to the original variable
+      //   → This creates a cross-collection reference
+      //   → Example: "color-01-duplicate" links to "color-01"
+      //              Only "color-01-duplicate" is being moved
+      //              It should still link to "color-01" in the original collection
+      //
+      // CASE 3: Not being moved, and the move flattens aliases
+      //   → Write the value the alias resolves to instead, so the
+      //     destination doesn't depend on other collections
+      
+      if (originalValue && typeof originalValue === 'object' && originalValue.type === 'VARIABLE_ALIAS') {
+        
+        const referencedVariableId = originalValue.id;
+        
+        // Check if the referenced variable is also being moved
+        if (idMapping[referencedVariableId]) {
+          
+          // CASE 1: Referenced variable IS being moved
+          // Create a new alias pointing to the NEW variable
+          const newReferencedVariable = idMapping[referencedVariableId];
+          
+          const newAlias = figma.variables.createVariableAlias(newReferencedVariable);
+          newVariable.setValueForMode(destinationModeId, newAlias);
+          
+          console.log('  Updated alias:', originalVariable.name, '→ new reference');
+          
+        } else if (flatten) {
+          
+          // CASE 3: Flatten to the resolved value
+          const modeName = flatten.modeNames[originalModeId];
+          const resolved = await resolveAliasValue(originalValue, modeName);
+          
+          if (!resolved.error) {
+            newVariable.setValueForMode(destinationModeId, resolved.value);
+            console.log('  Flattened alias:', originalVariable.name, '→', resolved.chain.join(' → '));
+          } else {
+            console.warn('  Could not flatten', originalVariable.name + ':', resolved.error);
+          }
+          
+          flatten.flattened.push({
+            variableId: originalVariable.id,
+            name: originalVariable.name,
+            modeName: modeName,
+            chain: resolved.chain,
+            value: resolved.error ? null : formatValueForSearch(resolved.value, {}),
+            error: resolved.error || null
+          });
+          
+        } else {
+          
+          // CASE 2: Referenced variable is NOT being moved
+          // Keep the original alias (cross-collection reference)
+          // We need to check if the referenced variable still exists
+          
+          try {
+            const referencedVariable = await figma.variables.getVariableByIdAsync(referencedVariableId);
+            
+            if (referencedVariable) {
+              // The referenced variable exists, create alias to it
+              const alias = figma.variables.createVariableAlias(referencedVariable);
+              newVariable.setValueForMode(destinationModeId, alias);
+              
+              console.log('  Kept alias:', originalVariable.name, '→', referencedVariable.name, '(cross-collection)');
+            } else {
+              // Referenced variable doesn't exist anymore
+              // Skip this value (will use default)
+              console.warn('  Warning: Referenced variable not found for', originalVariable.name);
+            }
+          } catch (error) {
+            console.error('  Error resolving alias for', originalVariable.name, error);
+          }
+        }
+        
+      } else {
+        
+        // ===== HANDLE NORMAL VALUES =====
+        // Not an alias, just copy the value directly
+        newVariable.setValueForMode(destinationModeId, originalValue);
+      }
+    }
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Resolve an Alias to a Raw Value
+// --------------------------------------------
+//
+// Follows an alias - and whatever that variable aliases in turn,
+// in any collection - down to a concrete value. Each collection
+// along the chain is read in the mode named modeName, or in its
+// default mode if it has no mode by that name.
+//
+// Returns:
+//   { value, chain }   → chain = names of the variables passed through
+//   { error, chain }   → deleted target or circular aliases
+
+async function resolveAliasValue(alias, modeName) {
+  
+  const chain = [];
+  const visited = new Set();
+  let value = alias;
+  
+  while (isVariableAlias(value)) {
+    if (visited.has(value.id)) {
+      return { error: 'circular alias', chain: chain };
+    }
+    visited.add(value.id);
+    
+    const variable = await figma.variables.getVariableByIdAsync(value.id);
+    if (!variable) {
+      return { error: 'alias to a deleted variable', chain: chain };
+    }
+    chain.push(variable.name);
+    
+    const collection = await figma.variables.getVariableCollectionByIdAsync(variable.variableCollectionId);
+    let modeId = null;
+    
+    if (collection) {
+      const matchedMode = collection.modes.find(function(mode) {
+        return mode.name === modeName;
+      });
+      modeId = matchedMode ? matchedMode.modeId : collection.defaultModeId;
+    }
+    
+    // Library collections can't always be read: use the first value
+    if (!modeId || !(modeId in variable.valuesByMode)) {
+      modeId = Object.keys(variable.valuesByMode)[0];
+    }
+    
+    value = variable.valuesByMode[modeId];
+  }
+  
+  return { value: value, chain: chain };
+}
+
+
+// --------------------------------------------
+// HELPER: Check if a Value Is an Alias
+// --------------------------------------------
+//
+// Alias values look like { type: 'VARIABLE_ALIAS', id: 'VariableID:1:2' }
+
+function isVariableAlias(value) {
+  return !!value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS';
+}
+
+
+// --------------------------------------------
+// HELPER: Find Aliases Pointing at Variables
+// --------------------------------------------
+//
+// Scans EVERY local variable (in every collection) and returns
+// each alias value that points at one of the given variable IDs.
+//
+// This does not change anything - it only reports what it finds.
+// Each result looks like:
+//   { variable: <Variable>, modeId: '1:0', targetId: 'VariableID:1:2' }
+//
+// Parameters:
+//   - targetVariableIds: Array of variable IDs to look for
+//   - excludeVariableIds: Array of variable IDs to ignore as the
+//                         owner of an alias (e.g. variables that
+//                         are about to be deleted anyway)
+
+async function findAliasReferences(targetVariableIds, excludeVariableIds) {
+  
+  const targetIds = new Set(targetVariableIds);
+  const excludeIds = new Set(excludeVariableIds || []);
+  const references = [];
+  
+  const allVariables = await figma.variables.getLocalVariablesAsync();
+  
+  for (const variable of allVariables) {
+    if (excludeIds.has(variable.id)) {
+      continue;
+    }
+    
+    const values = variable.valuesByMode;
+    
+    for (const modeId in values) {
+      const value = values[modeId];
+      
+      if (isVariableAlias(value) && targetIds.has(value.id)) {
+        references.push({
+          variable: variable,
+          modeId: modeId,
+          targetId: value.id
+        });
+      }
+    }
+  }
+  
+  return references;
+}
+
+
+// --------------------------------------------
+// HELPER: Re-point Aliases to New Variables
+// --------------------------------------------
+//
+// Takes the references found by findAliasReferences() and rewrites
+// each one so it points at the NEW variable from idMapping.
+//
+// Without this, a variable that was NOT selected but links to a
+// moved variable would end up pointing at a deleted variable
+// once Phase 4 removes the originals.
+//
+// Returns the number of alias values that were rewritten.
+
+function repointAliases(references, idMapping) {
+  
+  let repointCount = 0;
+  
+  for (const reference of references) {
+    const newVariable = idMapping[reference.targetId];
+    
+    if (!newVariable) {
+      continue;
+    }
+    
+    try {
+      const newAlias = figma.variables.createVariableAlias(newVariable);
+      reference.variable.setValueForMode(reference.modeId, newAlias);
+      repointCount++;
+      
+      console.log('  Re-pointed alias:', reference.variable.name, '→', newVariable.name);
+      
+    } catch (error) {
+      console.error('  Failed to re-point alias in', reference.variable.name, error);
+    }
+  }
+  
+  return repointCount;
+}
+
+
+// --------------------------------------------
+// BINDING KINDS
+// --------------------------------------------
+//
+// A layer can use a variable in several different places. Each
+// binding we find is tagged with a "kind" so rebindVariable()
+// knows which Figma API updates it:
+//
+//   scalar                     → node.setBoundVariable(property)
+//   paint                      → fills/strokes, setBoundVariableForPaint
+//   gradientStop               → color of one stop in a gradient paint
+//   effect                     → setBoundVariableForEffect
+//   layoutGrid                 → setBoundVariableForLayoutGrid
+//   textRange                  → setRangeBoundVariable (font size etc.)
+//   textRangeFill              → fills of one text range (mixed fills)
+//   componentProperty          → instance override (setProperties)
+//   componentPropertyDefinition → default value of a component property
+//   unknown                    → anything else (reported, not updated)
+
+// Array properties where each item (paint, effect, grid) carries
+// its own boundVariables ('paints' is the list on paint styles)
+const LIST_BINDING_PROPERTIES = ['fills', 'strokes', 'effects', 'layoutGrids', 'paints'];
+
+// Text properties that can differ per character range
+const TEXT_RANGE_FIELDS = [
+  'fontFamily',
+  'fontSize',
+  'fontStyle',
+  'fontWeight',
+  'letterSpacing',
+  'lineHeight',
+  'paragraphSpacing',
+  'paragraphIndent'
+];
+
+
+// --------------------------------------------
+// HELPER: Describe a Binding
+// --------------------------------------------
+//
+// Human-readable name of what a binding is, e.g. "fills",
+// "strokes (gradient stop)" or "component property "Show icon"".
+// Used in the preview and in failure reports.
+
+function describeBinding(binding) {
+  switch (binding.kind) {
+    case 'gradientStop':
+      return binding.property + ' (gradient stop)';
+    case 'effect':
+    case 'layoutGrid':
+      return binding.property + ' (' + binding.field + ')';
+    case 'textRange':
+      return 'text ' + binding.field;
+    case 'textRangeFill':
+      return 'text range fills';
+    case 'componentProperty':
+      return 'component property "' + binding.field + '"';
+    case 'componentPropertyDefinition':
+      return 'component property default "' + binding.field + '"';
+    default:
+      return binding.property;
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Find All Variable Bindings on a Node
+// --------------------------------------------
+//
+// Returns every place this node uses one of the target variables,
+// as binding objects:
+//
+//   { node, page, kind, property, variableId,
+//     bindingIndex,   → index in fills/strokes/effects/layoutGrids
+//     stopIndex,      → gradient stop index (gradientStop only)
+//     field,          → bound field inside the item, text field,
+//                       or component property name
+//     range }         → { start, end } for text range bindings
+//
+// Also works for local styles (pass page = null): paint, effect and
+// grid styles hold lists like nodes do, and text style fields are
+// plain scalar bindings.
+//
+// Pass targetVariableIds = null to get the bindings of every variable.
+
+function findNodeBindings(node, page, targetVariableIds) {
+  
+  const bindings = [];
+  
+  function addBinding(kind, property, variableId, details) {
+    bindings.push(Object.assign({
+      node: node,
+      page: page,
+      kind: kind,
+      property: property,
+      variableId: variableId,
+      bindingIndex: null,
+      stopIndex: null,
+      field: null,
+      range: null
+    }, details));
+  }
+  
+  function isTarget(alias) {
+    return Boolean(alias && alias.id && (!targetVariableIds || targetVariableIds.has(alias.id)));
+  }
+  
+  // ----- Paints, effects and layout grids -----
+  //
+  // Read the items themselves rather than node.boundVariables, so we
+  // know exactly which field is bound (an effect can bind its radius,
+  // a grid its count) and can see gradient stops.
+  
+  for (const property of LIST_BINDING_PROPERTIES) {
+    if (!(property in node) || !Array.isArray(node[property])) {
+      continue;
+    }
+    
+    const items = node[property];
+    let kind = 'paint';
+    if (property === 'effects') kind = 'effect';
+    if (property === 'layoutGrids') kind = 'layoutGrid';
+    
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      
+      if (item.boundVariables) {
+        for (const field in item.boundVariables) {
+          const alias = item.boundVariables[field];
+          if (isTarget(alias)) {
+            addBinding(kind, property, alias.id, { bindingIndex: index, field: field });
+          }
+        }
+      }
+      
+      if (item.gradientStops) {
+        for (let stopIndex = 0; stopIndex < item.gradientStops.length; stopIndex++) {
+          const stop = item.gradientStops[stopIndex];
+          const alias = stop.boundVariables && stop.boundVariables.color;
+          if (isTarget(alias)) {
+            addBinding('gradientStop', property, alias.id, {
+              bindingIndex: index,
+              stopIndex: stopIndex,
+              field: 'color'
+            });
+          }
+        }
+      }
+    }
+  }
+  
+  // ----- Component property definitions -----
+  //
+  // Only component sets and standalone components own definitions
+  // (reading them on a variant throws).
+  
+  const ownsDefinitions = node.type === 'COMPONENT_SET' ||
+    (node.type === 'COMPONENT' && !(node.parent && node.parent.type === 'COMPONENT_SET'));
+  
+  if (ownsDefinitions) {
+    const definitions = node.componentPropertyDefinitions;
+    for (const propertyName in definitions) {
+      const definition = definitions[propertyName];
+      const alias = definition.boundVariables && definition.boundVariables.value;
+      if (isTarget(alias)) {
+        addBinding('componentPropertyDefinition', 'componentPropertyDefinitions', alias.id, { field: propertyName });
+      }
+    }
+  }
+  
+  if (!('boundVariables' in node) || !node.boundVariables) {
+    return bindings;
+  }
+  
+  const boundVars = node.boundVariables;
+  
+  for (const propertyName in boundVars) {
+    const binding = boundVars[propertyName];
+    
+    // Already handled above
+    if (LIST_BINDING_PROPERTIES.indexOf(propertyName) !== -1) {
+      continue;
+    }
+    
+    // ----- Text ranges -----
+    //
+    // Text nodes report one alias per distinct range. Find the actual
+    // character ranges so each one can be rebound separately.
+    
+    if (node.type === 'TEXT' && 'getStyledTextSegments' in node &&
+        TEXT_RANGE_FIELDS.indexOf(propertyName) !== -1) {
+      if (!Array.isArray(binding) || !binding.some(isTarget)) {
+        continue;
+      }
+      
+      const segments = node.getStyledTextSegments(['boundVariables']);
+      for (const segment of segments) {
+        const alias = segment.boundVariables && segment.boundVariables[propertyName];
+        if (isTarget(alias)) {
+          addBinding('textRange', propertyName, alias.id, {
+            field: propertyName,
+            range: { start: segment.start, end: segment.end }
+          });
+        }
+      }
+      continue;
+    }
+    
+    if (propertyName === 'textRangeFills') {
+      // Uniform fills were already found through node.fills
+      if (node.fills !== figma.mixed || !Array.isArray(binding) || !binding.some(isTarget)) {
+        continue;
+      }
+      
+      const segments = node.getStyledTextSegments(['fills']);
+      for (const segment of segments) {
+        for (let index = 0; index < segment.fills.length; index++) {
+          const paint = segment.fills[index];
+          const alias = paint.boundVariables && paint.boundVariables.color;
+          if (isTarget(alias)) {
+            addBinding('textRangeFill', propertyName, alias.id, {
+              bindingIndex: index,
+              field: 'color',
+              range: { start: segment.start, end: segment.end }
+            });
+          }
+        }
+      }
+      continue;
+    }
+    
+    // ----- Instance overrides of component properties -----
+    
+    if (propertyName === 'componentProperties') {
+      for (const componentPropertyName in binding) {
+        const alias = binding[componentPropertyName];
+        if (isTarget(alias)) {
+          addBinding('componentProperty', propertyName, alias.id, { field: componentPropertyName });
+        }
+      }
+      continue;
+    }
+    
+    // ----- Everything else -----
+    
+    if (Array.isArray(binding)) {
+      // An array binding we don't know how to update
+      for (let index = 0; index < binding.length; index++) {
+        if (isTarget(binding[index])) {
+          addBinding('unknown', propertyName, binding[index].id, { bindingIndex: index });
+        }
+      }
+    } else if (isTarget(binding)) {
+      addBinding('scalar', propertyName, binding.id, {});
+    }
+  }
+  
+  return bindings;
+}
+
+
+// --------------------------------------------
+// HELPER: Could a Node Bind a Variable?
+// --------------------------------------------
+//
+// A cheap check so findNodeBindings() only runs on the few nodes
+// that bind anything. Gradient stops and component property
+// definitions don't show up in node.boundVariables, so those are
+// checked separately.
+
+function mayHaveBindings(node) {
+  
+  if (node.boundVariables && Object.keys(node.boundVariables).length > 0) {
+    return true;
+  }
+  
+  if (node.type === 'COMPONENT' || node.type === 'COMPONENT_SET') {
+    return true;
+  }
+  
+  for (const property of ['fills', 'strokes']) {
+    const paints = node[property];
+    if (!Array.isArray(paints)) {
+      continue;
+    }
+    
+    for (const paint of paints) {
+      if (paint.gradientStops && paint.gradientStops.some(function(stop) {
+        return stop.boundVariables && stop.boundVariables.color;
+      })) {
+        return true;
+      }
+    }
+  }
+  
+  return false;
+}
+
+
+// --------------------------------------------
+// HELPER: Build the Binding Index
+// --------------------------------------------
+//
+// One pass over every page (and the local styles) that collects
+// what a move needs to know about layers:
+//
+//   {
+//     bindingsByVariableId: { variableId: [binding] },
+//     bindingCount,
+//     explicitModeNodes: [{ node, page, modeId }],  → nodes pinning a mode
+//                                                    of options.explicitModeCollectionId
+//     cancelled          → true if options.shouldStop() ended the scan early
+//   }
+//
+// variableIds = null indexes the bindings of every variable.
+//
+// Frames (and pages) pin a collection to one of its modes with
+// explicitVariableModes, keyed by collection ID:
+//   { 'VariableCollectionId:1:2': '1:1' }
+//
+// Options (all optional):
+//   explicitModeCollectionId: collection to collect explicit modes for
+//   onProgress(pageName, done, total): called before each page
+//   shouldStop(): checked before each page
+
+async function buildBindingIndex(variableIds, options) {
+  
+  options = options || {};
+  
+  const targetVariableIds = variableIds ? new Set(variableIds) : null;
+  const collectionId = options.explicitModeCollectionId || null;
+  
+  const index = {
+    bindingsByVariableId: {},
+    bindingCount: 0,
+    explicitModeNodes: [],
+    cancelled: false
+  };
+  
+  function addBindings(bindings) {
+    for (const binding of bindings) {
+      if (!index.bindingsByVariableId[binding.variableId]) {
+        index.bindingsByVariableId[binding.variableId] = [];
+      }
+      index.bindingsByVariableId[binding.variableId].push(binding);
+      index.bindingCount++;
+    }
+  }
+  
+  function hasExplicitMode(node) {
+    return Boolean(collectionId) && 'explicitVariableModes' in node &&
+      Boolean(node.explicitVariableModes[collectionId]);
+  }
+  
+  const pages = figma.root.children;
+  
+  for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+    const page = pages[pageIndex];
+    
+    if (options.shouldStop && options.shouldStop()) {
+      index.cancelled = true;
+      return index;
+    }
+    if (options.onProgress) {
+      options.onProgress(page.name, pageIndex, pages.length);
+    }
+    
+    // Load the page first (required by Figma API)
+    await page.loadAsync();
+    
+    const nodes = page.findAll(function(node) {
+      return mayHaveBindings(node) || hasExplicitMode(node);
+    });
+    
+    if (hasExplicitMode(page)) {
+      index.explicitModeNodes.push({ node: page, page: page, modeId: page.explicitVariableModes[collectionId] });
+    }
+    
+    for (const node of nodes) {
+      if (hasExplicitMode(node)) {
+        index.explicitModeNodes.push({ node: node, page: page, modeId: node.explicitVariableModes[collectionId] });
+      }
+      addBindings(findNodeBindings(node, page, targetVariableIds));
+    }
+  }
+  
+  // Local styles can bind variables too
+  if (options.onProgress) {
+    options.onProgress('Local styles', pages.length, pages.length);
+  }
+  addBindings(await findAllStyleBindings(targetVariableIds));
+  
+  return index;
+}
+
+
+// --------------------------------------------
+// HELPER: Get All Bindings From the Index
+// --------------------------------------------
+
+function getIndexedBindings(index) {
+  const bindings = [];
+  
+  for (const variableId in index.bindingsByVariableId) {
+    for (const binding of index.bindingsByVariableId[variableId]) {
+      bindings.push(binding);
+    }
+  }
+  
+  return bindings;
+}
+
+
+// --------------------------------------------
+// HELPER: Find All Variable Bindings in Document
+// --------------------------------------------
+//
+// variableIds = null finds the bindings of every variable.
+
+async function findAllVariableBindings(variableIds) {
+  return getIndexedBindings(await buildBindingIndex(variableIds));
+}
+
+
+// --------------------------------------------
+// HELPER: Summarize Where a Variable Is Used
+// --------------------------------------------
+//
+// Groups bindings for the usage panel: one entry per node (with
+// every property it binds), nodes grouped by page, styles apart.
+//
+//   {
+//     bindingCount,
+//     pages:  [{ pageId, pageName, nodes: [{ nodeId, nodeName, nodeType, properties }] }],
+//     styles: [{ styleName, styleType, properties }]
+//   }
+
+function summarizeUsage(bindings) {
+  
+  const usage = { bindingCount: bindings.length, pages: [], styles: [] };
+  const pagesById = {};
+  const entriesById = {};
+  
+  for (const binding of bindings) {
+    let entry = entriesById[binding.node.id];
+    
+    if (!entry && binding.page) {
+      let page = pagesById[binding.page.id];
+      if (!page) {
+        page = { pageId: binding.page.id, pageName: binding.page.name, nodes: [] };
+        pagesById[binding.page.id] = page;
+        usage.pages.push(page);
+      }
+      
+      entry = { nodeId: binding.node.id, nodeName: binding.node.name, nodeType: binding.node.type, properties: [] };
+      page.nodes.push(entry);
+    } else if (!entry) {
+      entry = { styleName: binding.node.name, styleType: binding.node.type, properties: [] };
+      usage.styles.push(entry);
+    }
+    entriesById[binding.node.id] = entry;
+    
+    const property = describeBinding(binding);
+    if (entry.properties.indexOf(property) === -1) {
+      entry.properties.push(property);
+    }
+  }
+  
+  return usage;
+}
+
+
+// --------------------------------------------
+// HELPER: Find Unused Variables
+// --------------------------------------------
+//
+// Variables in the collection that no layer, style or other
+// variable (in any collection) references. Variables published
+// to a library may still be used in other files - that can't be
+// seen from here.
+//
+// onProgress (optional) is passed on to buildBindingIndex().
+
+async function findUnusedVariables(collection, onProgress) {
+  
+  const variables = await getVariablesInCollection(collection.id);
+  const index = await buildBindingIndex(variables.map(function(variable) {
+    return variable.id;
+  }), { onProgress: onProgress });
+  const aliasedByCounts = countAliasedBy(await figma.variables.getLocalVariablesAsync());
+  
+  return variables.filter(function(variable) {
+    return !index.bindingsByVariableId[variable.id] && !aliasedByCounts[variable.id];
+  });
+}
+
+
+// --------------------------------------------
+// HELPER: Find Variable Bindings in Local Styles
+// --------------------------------------------
+//
+// Paint, text, effect and grid styles can bind variables in their
+// definitions. These bindings have page = null and node = the style.
+
+async function findAllStyleBindings(targetVariableIds) {
+  
+  const styleLists = await Promise.all([
+    figma.getLocalPaintStylesAsync(),
+    figma.getLocalTextStylesAsync(),
+    figma.getLocalEffectStylesAsync(),
+    figma.getLocalGridStylesAsync()
+  ]);
+  
+  const styleBindings = [];
+  
+  for (const styles of styleLists) {
+    for (const style of styles) {
+      const bindings = findNodeBindings(style, null, targetVariableIds);
+      for (const binding of bindings) {
+        styleBindings.push(binding);
+      }
+    }
+  }
+  
+  return styleBindings;
+}
+
+
+// --------------------------------------------
+// HELPER: Rebind a Variable Reference
+// --------------------------------------------
+//
+// Points one binding (from findAllVariableBindings) at newVariable.
+// Returns true on success, false if the binding can't be updated.
+
+async function rebindVariable(binding, newVariable) {
+  
+  const node = binding.node;
+  const property = binding.property;
+  
+  try {
+    switch (binding.kind) {
+      
+      case 'scalar':
+        if (!('setBoundVariable' in node)) {
+          return false;
+        }
+        // Text styles need their font loaded before they can change
+        if (node.type === 'TEXT' && !binding.page) {
+          await figma.loadFontAsync(node.fontName);
+        }
+        node.setBoundVariable(property, newVariable);
+        return true;
+      
+      case 'paint':
+      case 'gradientStop':
+      case 'effect':
+      case 'layoutGrid': {
+        const currentItems = node[property];
+        if (!Array.isArray(currentItems) || binding.bindingIndex >= currentItems.length) {
+          return false;
+        }
+        const newItems = JSON.parse(JSON.stringify(currentItems));
+        const item = newItems[binding.bindingIndex];
+        
+        if (binding.kind === 'paint') {
+          newItems[binding.bindingIndex] = figma.variables.setBoundVariableForPaint(item, binding.field, newVariable);
+        } else if (binding.kind === 'effect') {
+          newItems[binding.bindingIndex] = figma.variables.setBoundVariableForEffect(item, binding.field, newVariable);
+        } else if (binding.kind === 'layoutGrid') {
+          newItems[binding.bindingIndex] = figma.variables.setBoundVariableForLayoutGrid(item, binding.field, newVariable);
+        } else {
+          // There is no helper for gradient stops: set the alias directly
+          if (!item.gradientStops || binding.stopIndex >= item.gradientStops.length) {
+            return false;
+          }
+          item.gradientStops[binding.stopIndex].boundVariables = {
+            color: figma.variables.createVariableAlias(newVariable)
+          };
+        }
+        
+        node[property] = newItems;
+        return true;
+      }
+      
+      case 'textRange': {
+        // Changing text properties requires the range's fonts
+        const fonts = node.getRangeAllFontNames(binding.range.start, binding.range.end);
+        for (const font of fonts) {
+          await figma.loadFontAsync(font);
+        }
+        node.setRangeBoundVariable(binding.range.start, binding.range.end, binding.field, newVariable);
+        return true;
+      }
+      
+      case 'textRangeFill': {
+        const currentFills = node.getRangeFills(binding.range.start, binding.range.end);
+        if (!Array.isArray(currentFills) || binding.bindingIndex >= currentFills.length) {
+          return false;
+        }
+        const newFills = JSON.parse(JSON.stringify(currentFills));
+        newFills[binding.bindingIndex] = figma.variables.setBoundVariableForPaint(
+          newFills[binding.bindingIndex],
+          'color',
+          newVariable
+        );
+        node.setRangeFills(binding.range.start, binding.range.end, newFills);
+        return true;
+      }
+      
+      case 'componentProperty': {
+        const properties = {};
+        properties[binding.field] = figma.variables.createVariableAlias(newVariable);
+        node.setProperties(properties);
+        return true;
+      }
+      
+      case 'componentPropertyDefinition':
+        node.editComponentProperty(binding.field, {
+          defaultValue: figma.variables.createVariableAlias(newVariable)
+        });
+        return true;
+      
+      default:
+        return false;
+    }
+    
+  } catch (error) {
+    console.error('Failed to rebind variable:', describeBinding(binding), error);
+    return false;
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Roll Back Moved Variables
+// --------------------------------------------
+//
+// Undoes everything the move did for the given (old) variable IDs,
+// using the transaction record the move handler keeps:
+//
+//   {
+//     createdVariables: { oldId: newVariable },     → removed
+//     overwrittenValues: { oldId: { variable, valuesByMode } }
+//                                                   → old values restored
+//     reboundBindings: [binding]                    → pointed back at the
+//                                                     original variable
+//   }
+//
+// The originals are never touched before Phase 4, so once this has
+// run they are exactly as they were before the move.
+//
+// Returns a report for the UI:
+//   { variables: [names], bindingsRestored, bindingsFailed,
+//     variablesRemoved, valuesRestored }
+
+async function rollBackVariables(transaction, variableIds, originalsById) {
+  
+  const ids = new Set(variableIds);
+  const report = {
+    variables: [],
+    bindingsRestored: 0,
+    bindingsFailed: 0,
+    variablesRemoved: 0,
+    valuesRestored: 0
+  };
+  
+  // Step 1: Point layer bindings back at the original variables
+  const remainingBindings = [];
+  
+  for (const binding of transaction.reboundBindings) {
+    if (!ids.has(binding.variableId)) {
+      remainingBindings.push(binding);
+      continue;
+    }
+    
+    const success = await rebindVariable(binding, originalsById[binding.variableId]);
+    
+    if (success) {
+      report.bindingsRestored++;
+    } else {
+      report.bindingsFailed++;
+      console.error('  Could not restore binding:', binding.node.name, '->', describeBinding(binding));
+    }
+  }
+  
+  transaction.reboundBindings = remainingBindings;
+  
+  // Step 2: Other variables may alias a new variable we're about to
+  // remove (e.g. a copy that succeeded linking to one that failed).
+  // Point those aliases back at the original first.
+  const newIdToOriginal = {};
+  for (const oldId of ids) {
+    const newVariable = transaction.createdVariables[oldId];
+    if (newVariable) {
+      newIdToOriginal[newVariable.id] = originalsById[oldId];
+    }
+  }
+  
+  const newIds = Object.keys(newIdToOriginal);
+  if (newIds.length > 0) {
+    const references = await findAliasReferences(newIds, newIds);
+    repointAliases(references, newIdToOriginal);
+  }
+  
+  // Step 3: Restore overwritten values and remove created variables
+  for (const oldId of ids) {
+    report.variables.push(originalsById[oldId].name);
+    
+    const snapshot = transaction.overwrittenValues[oldId];
+    if (snapshot) {
+      try {
+        for (const modeId in snapshot.valuesByMode) {
+          snapshot.variable.setValueForMode(modeId, snapshot.valuesByMode[modeId]);
+        }
+        report.valuesRestored++;
+      } catch (error) {
+        console.error('  Could not restore values of', snapshot.variable.name, error);
+      }
+      delete transaction.overwrittenValues[oldId];
+    }
+    
+    const newVariable = transaction.createdVariables[oldId];
+    if (newVariable) {
+      try {
+        newVariable.remove();
+        report.variablesRemoved++;
+      } catch (error) {
+        console.error('  Could not remove', newVariable.name, error);
+      }
+      delete transaction.createdVariables[oldId];
+    }
+  }
+  
+  console.log('Rolled back', report.variables.length, 'variable(s):',
+              report.bindingsRestored, 'bindings restored,',
+              report.variablesRemoved, 'new variables removed');
+  
+  return report;
+}
+
+
+// --------------------------------------------
+// HELPER: Check if a Binding Can Be Rebound
+// --------------------------------------------
+//
+// Answers the same question as rebindVariable() without changing
+// anything, so the preview can tell the user which bindings will
+// be updated and which will be left pointing at a deleted variable.
+
+function canRebindVariable(binding) {
+  
+  const node = binding.node;
+  
+  switch (binding.kind) {
+    case 'scalar':
+      return 'setBoundVariable' in node;
+    case 'paint':
+    case 'gradientStop':
+    case 'effect':
+    case 'layoutGrid':
+      return binding.property in node;
+    case 'textRange':
+      return 'setRangeBoundVariable' in node;
+    case 'textRangeFill':
+      return 'setRangeFills' in node;
+    case 'componentProperty':
+      return 'setProperties' in node;
+    case 'componentPropertyDefinition':
+      return 'editComponentProperty' in node;
+    default:
+      return false;
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Remap Explicit Modes to the Destination
+// --------------------------------------------
+//
+// For each explicit mode node from buildBindingIndex(), pins the destination
+// collection to the mode the source mode's values were copied into
+// (modeMapping: source mode ID → destination mode ID or '').
+// The pin on the source collection is left alone, since variables
+// may stay behind in it. Nodes that already pin a mode of the
+// destination keep it: that was a deliberate choice.
+//
+// Returns {
+//   remapped:      [{ nodeId, sourceModeId, previousModeId }],  → enough to undo it
+//   unmatched:     [{ nodeName, pageName, modeName }],
+//   alreadyPinned: [{ nodeName, pageName }]
+// }
+
+function remapExplicitModes(entries, sourceCollection, destinationCollection, modeMapping) {
+  
+  const remapped = [];
+  const unmatched = [];
+  const alreadyPinned = [];
+  
+  for (const entry of entries) {
+    const destinationModeId = modeMapping[entry.modeId];
+    
+    try {
+      if (entry.node.explicitVariableModes[destinationCollection.id]) {
+        alreadyPinned.push({
+          nodeName: entry.node.name,
+          pageName: entry.page.name
+        });
+      } else if (destinationModeId) {
+        entry.node.setExplicitVariableModeForCollection(destinationCollection, destinationModeId);
+        remapped.push({
+          nodeId: entry.node.id,
+          sourceModeId: entry.modeId,
+          // Always null now (pinned nodes are skipped); kept so
+          // undo works the same for journals saved earlier
+          previousModeId: null
+        });
+      } else {
+        const sourceMode = sourceCollection.modes.find(function(mode) {
+          return mode.modeId === entry.modeId;
+        });
+        unmatched.push({
+          nodeName: entry.node.name,
+          pageName: entry.page.name,
+          modeName: sourceMode ? sourceMode.name : entry.modeId
+        });
+      }
+    } catch (error) {
+      console.error('  Could not update explicit mode on', entry.node.name, error);
+    }
+  }
+  
+  return { remapped: remapped, unmatched: unmatched, alreadyPinned: alreadyPinned };
+}
+
+
+// --------------------------------------------
+// HELPER: Restore Explicit Modes After a Rollback
+// --------------------------------------------
+//
+// Puts the destination pins back the way they were before
+// remapExplicitModes() ran. The source pins were never touched.
+
+async function restoreExplicitModes(remapped, destinationCollection) {
+  
+  let restored = 0;
+  
+  for (const saved of remapped) {
+    const node = await figma.getNodeByIdAsync(saved.nodeId);
+    if (!node) {
+      continue;
+    }
+    
+    try {
+      if (saved.previousModeId) {
+        node.setExplicitVariableModeForCollection(destinationCollection, saved.previousModeId);
+      } else {
+        node.clearExplicitVariableModeForCollection(destinationCollection);
+      }
+      restored++;
+    } catch (error) {
+      console.error('  Could not restore explicit mode on', node.name, error);
+    }
+  }
+  
+  return restored;
+}
+
+
+// --------------------------------------------
+// HELPER: Convert Figma Type to Display Name
+// --------------------------------------------
+
+function getDisplayTypeName(figmaType) {
+  if (figmaType === 'FLOAT') {
+    return 'NUMBER';
+  }
+  return figmaType;
+}
+
+
+// --------------------------------------------
+// VARIABLE FILTERS
+// --------------------------------------------
+//
+// The 'get-variables-preview' message can carry a filter, so large
+// collections only send the matching variables to the UI:
+//
+//   {
+//     text,        → matches name, description or any mode's value
+//     type,        → 'COLOR', 'NUMBER', 'STRING' or 'BOOLEAN'
+//     scope,       → e.g. 'CORNER_RADIUS' (variables with ALL_SCOPES match too)
+//     alias        → 'is-alias', 'not-alias' or 'aliased-by'
+//   }
+//
+// Empty fields don't filter.
+
+
+// --------------------------------------------
+// HELPER: Format a Value for Searching
+// --------------------------------------------
+//
+// Turns a mode value into the text a user would search for:
+// colors as hex ("#ff0000"), aliases as the referenced name.
+
+function formatValueForSearch(value, variablesById) {
+  
+  if (isVariableAlias(value)) {
+    const target = variablesById[value.id];
+    return target ? target.name : '';
+  }
+  
+  if (value && typeof value === 'object' && 'r' in value) {
+    const toHex = function(channel) {
+      return Math.round(channel * 255).toString(16).padStart(2, '0');
+    };
+    let hex = '#' + toHex(value.r) + toHex(value.g) + toHex(value.b);
+    if ('a' in value && value.a < 1) {
+      hex += toHex(value.a);
+    }
+    return hex;
+  }
+  
+  return String(value);
+}
+
+
+// --------------------------------------------
+// HELPER: Check if a Filter Is Empty
+// --------------------------------------------
+
+function isEmptyFilter(filter) {
+  return !filter || (!filter.text && !filter.type && !filter.scope && !filter.alias);
+}
+
+
+// --------------------------------------------
+// HELPER: Filter Variables
+// --------------------------------------------
+//
+// Returns the variables that match the filter (see VARIABLE FILTERS).
+// aliasedByCounts: variable ID → number of alias values pointing at it
+
+function filterVariables(variables, filter, variablesById, aliasedByCounts) {
+  
+  if (isEmptyFilter(filter)) {
+    return variables;
+  }
+  
+  const text = (filter.text || '').trim().toLowerCase();
+  
+  return variables.filter(function(variable) {
+    
+    if (filter.type && getDisplayTypeName(variable.resolvedType) !== filter.type) {
+      return false;
+    }
+    
+    if (filter.scope && variable.scopes.indexOf(filter.scope) === -1 &&
+        variable.scopes.indexOf('ALL_SCOPES') === -1) {
+      return false;
+    }
+    
+    const values = Object.values(variable.valuesByMode);
+    
+    if (filter.alias === 'is-alias' && !values.some(isVariableAlias)) {
+      return false;
+    }
+    if (filter.alias === 'not-alias' && values.some(isVariableAlias)) {
+      return false;
+    }
+    if (filter.alias === 'aliased-by' && !aliasedByCounts[variable.id]) {
+      return false;
+    }
+    
+    if (text) {
+      const searchable = [variable.name, variable.description || ''].concat(values.map(function(value) {
+        return formatValueForSearch(value, variablesById);
+      }));
+      
+      const matches = searchable.some(function(item) {
+        return item.toLowerCase().indexOf(text) !== -1;
+      });
+      
+      if (!matches) {
+        return false;
+      }
+    }
+    
+    return true;
+  });
+}
+
+
+// --------------------------------------------
+// HELPER: Count Aliases Pointing at Each Variable
+// --------------------------------------------
+//
+// Looks at every local variable, in every collection.
+// Returns { variableId: count }.
+
+function countAliasedBy(allVariables) {
+  
+  const counts = {};
+  
+  for (const variable of allVariables) {
+    for (const modeId in variable.valuesByMode) {
+      const value = variable.valuesByMode[modeId];
+      if (isVariableAlias(value)) {
+        counts[value.id] = (counts[value.id] || 0) + 1;
+      }
+    }
+  }
+  
+  return counts;
+}
+
+
+// --------------------------------------------
+// HELPER: Build the Alias Graph
+// --------------------------------------------
+//
+// Who aliases whom, across every local collection. Used by the
+// picker's dependency view and its "Select dependencies" /
+// "Select dependents" actions.
+//
+//   {
+//     variables: { id: { name, collectionId, collectionName } },
+//     aliases:   { id: [targetId] },    → what the variable points at
+//     aliasedBy: { id: [aliasingId] }   → what points at the variable
+//   }
+//
+// Only variables with at least one link are listed. Aliases to
+// library variables are looked up so they can be named, and get
+// collectionId null (they can never be moved from this file).
+
+async function buildAliasGraph(allVariables) {
+  
+  const collectionNames = {};
+  for (const collection of await figma.variables.getLocalVariableCollectionsAsync()) {
+    collectionNames[collection.id] = collection.name;
+  }
+  
+  const localById = {};
+  for (const variable of allVariables) {
+    localById[variable.id] = variable;
+  }
+  
+  const graph = { variables: {}, aliases: {}, aliasedBy: {} };
+  
+  async function addVariable(id) {
+    if (graph.variables[id]) {
+      return;
+    }
+    
+    const local = localById[id];
+    if (local) {
+      graph.variables[id] = {
+        name: local.name,
+        collectionId: local.variableCollectionId,
+        collectionName: collectionNames[local.variableCollectionId] || ''
+      };
+      return;
+    }
+    
+    const remote = await figma.variables.getVariableByIdAsync(id);
+    graph.variables[id] = {
+      name: remote ? remote.name : id,
+      collectionId: null,
+      collectionName: 'Library'
+    };
+  }
+  
+  for (const variable of allVariables) {
+    for (const modeId in variable.valuesByMode) {
+      const value = variable.valuesByMode[modeId];
+      if (!isVariableAlias(value)) {
+        continue;
+      }
+      
+      // The same target is often aliased in every mode
+      const targets = graph.aliases[variable.id] || (graph.aliases[variable.id] = []);
+      if (targets.indexOf(value.id) !== -1) {
+        continue;
+      }
+      targets.push(value.id);
+      
+      if (!graph.aliasedBy[value.id]) {
+        graph.aliasedBy[value.id] = [];
+      }
+      graph.aliasedBy[value.id].push(variable.id);
+      
+      await addVariable(variable.id);
+      await addVariable(value.id);
+    }
+  }
+  
+  return graph;
+}
+
+
+// --------------------------------------------
+// HELPER: Plan Error
+// --------------------------------------------
+//
+// notify: short text for the Figma toast
+// message: longer text shown in the plugin window
+
+function planError(notify, message) {
+  return { error: { notify: notify, message: message } };
+}
+
+
+// --------------------------------------------
+// HELPER: Build a Move Plan
+// --------------------------------------------
+//
+// Checks a 'move-variables' (or 'preview-move') request and works out
+// what will happen to each selected variable. Nothing in the file is
+// changed here, so this is safe to run for a preview.
+//
+// Returns either:
+//   { error: { notify, message } }   → the request can't be carried out
+// or a plan:
+//   {
+//     operation,              → 'move', 'copy' or 'merge-collection'
+//     isCopy,                 → true for copy mode
+//     isMergeCollection,      → true when merging the whole collection
+//     sourceCollection,
+//     destinationCollection,
+//     selectedCount,          → how many IDs the UI sent
+//     variablesToCreate,      → [{ variable, name }] (renamed ones included)
+//     variablesToMerge,       → [{ variable, existingVariable, strategy }]
+//     skipped,                → [variable] duplicates that stay behind
+//     renamedCount,
+//     modeMapping,            → normalized source → destination mode mapping
+//     fallbackModeId,         → source mode for unmatched destination modes
+//     copyAliasTarget,        → 'copies' or 'originals' (copy mode only)
+//     flattenAliases,         → true to replace aliases leaving the
+//                               moved set with their resolved values
+//     failurePolicy           → 'rollback' or 'keep-successful'
+//   }
+
+async function buildMovePlan(msg) {
+  
+  const sourceCollectionId = msg.sourceCollectionId;
+  const destinationCollectionId = msg.destinationCollectionId;
+  let selectedVariableIds = msg.selectedVariableIds || [];
+  
+  // 'move' (the default), 'copy' or 'merge-collection'
+  // Copy mode creates the new variables but keeps the originals.
+  // Merge-collection moves EVERY variable and then deletes the
+  // (now empty) source collection.
+  const operation = msg.operation === 'copy' || msg.operation === 'merge-collection' ? msg.operation : 'move';
+  const isCopy = operation === 'copy';
+  const isMergeCollection = operation === 'merge-collection';
+  
+  // A brand-new destination that doesn't exist yet (preview only;
+  // the move handler creates it before planning)
+  const newCollection = !destinationCollectionId ? msg.newCollection : null;
+  
+  if (!sourceCollectionId || (!destinationCollectionId && !newCollection)) {
+    return planError('Please select both source and destination collections!', 'Please select both collections before moving.');
+  }
+  
+  if (newCollection && !String(newCollection.name || '').trim()) {
+    return planError('Please name the new collection!', 'Enter a name for the new collection.');
+  }
+  
+  if (sourceCollectionId === destinationCollectionId) {
+    return planError('Source and destination cannot be the same!', 'You cannot move variables to the same collection.');
+  }
+  
+  // Fetch the collection objects
+  const sourceCollection = await figma.variables.getVariableCollectionByIdAsync(sourceCollectionId);
+  let destinationCollection = null;
+  
+  if (newCollection && sourceCollection) {
+    destinationCollection = describeNewCollection(sourceCollection, newCollection);
+  } else if (destinationCollectionId) {
+    destinationCollection = await figma.variables.getVariableCollectionByIdAsync(destinationCollectionId);
+  }
+  
+  if (!sourceCollection || !destinationCollection) {
+    return planError('One of the collections no longer exists!', 'Collection not found. It may have been deleted.');
+  }
+  
+  // Merging takes the whole collection, whatever is selected
+  if (isMergeCollection) {
+    selectedVariableIds = sourceCollection.variableIds;
+  }
+  
+  if (selectedVariableIds.length === 0) {
+    return planError('No variables selected!', 'Please select at least one variable to move.');
+  }
+  
+  // Get selected variables
+  const selectedIdsSet = new Set(selectedVariableIds);
+  const allSourceVariables = await getVariablesInCollection(sourceCollectionId);
+  
+  const variablesToMove = allSourceVariables.filter(function(variable) {
+    return selectedIdsSet.has(variable.id);
+  });
+  
+  if (variablesToMove.length === 0) {
+    return planError('No valid variables to move!', 'The selected variables could not be found.');
+  }
+  
+  // Rewritten names must be valid and must not collide with each other
+  const nameOptions = getNameOptions(msg);
+  const variablesByTargetName = new Map();
+  
+  if (nameOptions.error) {
+    return planError('Invalid rename pattern!', nameOptions.error);
+  }
+  
+  for (const variable of variablesToMove) {
+    const targetName = getTargetName(variable, nameOptions);
+    const other = variablesByTargetName.get(targetName);
+    const nameProblem = checkTargetName(targetName);
+    
+    if (nameProblem) {
+      return planError('Invalid variable name!', 'Cannot rename "' + variable.name + '": ' + nameProblem + '.');
+    }
+    
+    if (other) {
+      return planError(
+        'Two variables would get the same name!',
+        '"' + other.name + '" and "' + variable.name + '" would both be named "' + targetName + '".'
+      );
+    }
+    variablesByTargetName.set(targetName, variable);
+  }
+  
+  // Check for duplicates (a new collection has none)
+  const destinationVariablesByName = newCollection
+    ? new Map()
+    : await getVariablesByNameInCollection(destinationCollectionId);
+  const { duplicates, canMove: safeToMove } = findDuplicateNames(variablesToMove, destinationVariablesByName, nameOptions);
+  
+  // Resolve conflicts: each duplicate is skipped, renamed,
+  // merged or overwritten (see CONFLICT STRATEGIES above)
+  
+  const conflictStrategy = msg.conflictStrategy || 'skip';
+  const conflictStrategies = msg.conflictStrategies || {};
+  
+  // Names already used in the destination (or about to be)
+  const takenNames = new Set(destinationVariablesByName.keys());
+  for (const variable of safeToMove) {
+    takenNames.add(getTargetName(variable, nameOptions));
+  }
+  
+  const variablesToCreate = safeToMove.map(function(variable) {
+    return { variable: variable, name: getTargetName(variable, nameOptions) };
+  });
+  const variablesToMerge = [];   // { variable, existingVariable, strategy }
+  const skipped = [];
+  let renamedCount = 0;
+  
+  for (const variable of duplicates) {
+    const targetName = getTargetName(variable, nameOptions);
+    const existingVariable = destinationVariablesByName.get(targetName);
+    const strategy = resolveConflictStrategy(variable, existingVariable, conflictStrategy, conflictStrategies);
+    
+    if (strategy === 'rename') {
+      variablesToCreate.push({ variable: variable, name: getUniqueName(targetName, takenNames) });
+      renamedCount++;
+    } else if (strategy === 'merge' || strategy === 'overwrite') {
+      variablesToMerge.push({ variable: variable, existingVariable: existingVariable, strategy: strategy });
+    } else {
+      skipped.push(variable);
+    }
+  }
+  
+  if (variablesToCreate.length === 0 && variablesToMerge.length === 0) {
+    return planError('All selected variables have duplicate names!', 'All selected variables already exist in the destination.');
+  }
+  
+  const requestedModeMapping = newCollection
+    ? getNewCollectionModeMapping(sourceCollection, destinationCollection.modes.map(function(mode) {
+        return mode.modeId;
+      }))
+    : msg.modeMapping;
+  const modeMapping = normalizeModeMapping(sourceCollection, destinationCollection, requestedModeMapping);
+  
+  return {
+    operation: operation,
+    isCopy: isCopy,
+    isMergeCollection: isMergeCollection,
+    sourceCollection: sourceCollection,
+    destinationCollection: destinationCollection,
+    selectedCount: selectedVariableIds.length,
+    variablesToCreate: variablesToCreate,
+    variablesToMerge: variablesToMerge,
+    skipped: skipped,
+    renamedCount: renamedCount,
+    modeMapping: modeMapping,
+    fallbackModeId: msg.fallbackModeId,
+    copyAliasTarget: msg.copyAliasTarget,
+    flattenAliases: Boolean(msg.flattenAliases),
+    failurePolicy: msg.failurePolicy === 'keep-successful' ? 'keep-successful' : 'rollback'
+  };
+}
+
+
+// --------------------------------------------
+// HELPER: Analyze the Impact of a Move (Dry Run)
+// --------------------------------------------
+//
+// Runs the same discovery steps as the real move - the duplicate
+// check, the alias rules from copyVariableValues() and the binding
+// scan - but only REPORTS what would happen. Nothing is changed.
+//
+// Used by the 'preview-move' message so the user can check the
+// result before confirming.
+
+async function analyzeMoveImpact(plan) {
+  
+  const sourceCollection = plan.sourceCollection;
+  const destinationCollection = plan.destinationCollection;
+  
+  // Every variable that will get an entry in idMapping during the move
+  const plannedVariables = {};
+  for (const entry of plan.variablesToCreate) {
+    plannedVariables[entry.variable.id] = entry.variable;
+  }
+  for (const entry of plan.variablesToMerge) {
+    plannedVariables[entry.variable.id] = entry.variable;
+  }
+  const plannedIds = Object.keys(plannedVariables);
+  
+  // Collection names, so the report can say where aliases point
+  const collectionNames = {};
+  const collections = await figma.variables.getLocalVariableCollectionsAsync();
+  for (const collection of collections) {
+    collectionNames[collection.id] = collection.name;
+  }
+  
+  
+  // ----- Variables -----
+  
+  const create = plan.variablesToCreate.map(function(entry) {
+    return {
+      name: entry.variable.name,
+      targetName: entry.name,
+      type: getDisplayTypeName(entry.variable.resolvedType)
+    };
+  });
+  
+  const merge = plan.variablesToMerge.map(function(entry) {
+    return {
+      name: entry.variable.name,
+      strategy: entry.strategy
+    };
+  });
+  
+  const skip = plan.skipped.map(function(variable) {
+    return {
+      name: variable.name,
+      type: getDisplayTypeName(variable.resolvedType)
+    };
+  });
+  
+  
+  // ----- Modes -----
+  
+  const modes = sourceCollection.modes.map(function(mode) {
+    const target = plan.modeMapping[mode.modeId];
+    let destinationName = null;   // null = "Don't copy"
+    
+    if (target === CREATE_MODE) {
+      destinationName = mode.name;
+    } else if (target) {
+      const destinationMode = destinationCollection.modes.find(function(candidate) {
+        return candidate.modeId === target;
+      });
+      destinationName = destinationMode ? destinationMode.name : null;
+    }
+    
+    return {
+      sourceName: mode.name,
+      destinationName: destinationName,
+      created: target === CREATE_MODE
+    };
+  });
+  
+  // The source modes whose values will actually be copied
+  const modePlan = buildModeValuePlan(sourceCollection, destinationCollection, plan.modeMapping, plan.fallbackModeId);
+  const usedSourceModeIds = new Set(Object.values(modePlan));
+  for (const mode of sourceCollection.modes) {
+    if (plan.modeMapping[mode.modeId] === CREATE_MODE) {
+      usedSourceModeIds.add(mode.modeId);
+    }
+  }
+  
+  
+  // ----- Aliases inside the moved variables -----
+  //
+  // Same rules as copyVariableValues(): an alias to another moved
+  // variable is rewritten, anything else stays a cross-collection
+  // reference (or is lost if the target no longer exists).
+  // When flattening, the rest are resolved per mode instead.
+  
+  const rewriteWithinSet = !(plan.isCopy && plan.copyAliasTarget === 'originals') || plan.flattenAliases;
+  const rewritten = [];
+  const kept = [];
+  const missing = [];
+  const flattened = [];
+  const seen = new Set();
+  
+  const sourceModeNames = {};
+  for (const mode of sourceCollection.modes) {
+    sourceModeNames[mode.modeId] = mode.name;
+  }
+  
+  const variablesToCopy = plan.variablesToCreate.map(function(entry) {
+    return entry.variable;
+  });
+  for (const entry of plan.variablesToMerge) {
+    if (entry.strategy === 'overwrite') {
+      variablesToCopy.push(entry.variable);
+    }
+  }
+  
+  for (const variable of variablesToCopy) {
+    for (const modeId of usedSourceModeIds) {
+      const value = variable.valuesByMode[modeId];
+      
+      if (!isVariableAlias(value)) {
+        continue;
+      }
+      
+      // Report each variable → target link once, even if several modes use it
+      const key = variable.id + '→' + value.id;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      
+      if (rewriteWithinSet && plannedVariables[value.id]) {
+        rewritten.push({
+          name: variable.name,
+          targetName: plannedVariables[value.id].name
+        });
+        continue;
+      }
+      
+      // Flattened values can differ per mode: list every mode
+      if (plan.flattenAliases) {
+        for (const flattenModeId of usedSourceModeIds) {
+          if (!isVariableAlias(variable.valuesByMode[flattenModeId]) || variable.valuesByMode[flattenModeId].id !== value.id) {
+            continue;
+          }
+          const resolved = await resolveAliasValue(value, sourceModeNames[flattenModeId]);
+          flattened.push({
+            name: variable.name,
+            modeName: sourceModeNames[flattenModeId],
+            chain: resolved.chain,
+            value: resolved.error ? null : formatValueForSearch(resolved.value, {}),
+            error: resolved.error || null
+          });
+        }
+        continue;
+      }
+      
+      const target = await figma.variables.getVariableByIdAsync(value.id);
+      
+      if (target) {
+        kept.push({
+          name: variable.name,
+          targetName: target.name,
+          collectionName: collectionNames[target.variableCollectionId] || 'Library'
+        });
+      } else {
+        missing.push({ name: variable.name });
+      }
+    }
+  }
+  
+  
+  // ----- Aliases in variables that stay behind (move only) -----
+  
+  const repointed = [];
+  
+  if (!plan.isCopy) {
+    const references = await findAliasReferences(plannedIds, plannedIds);
+    
+    for (const reference of references) {
+      const key = reference.variable.id + '→' + reference.targetId;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      
+      repointed.push({
+        name: reference.variable.name,
+        collectionName: collectionNames[reference.variable.variableCollectionId],
+        targetName: plannedVariables[reference.targetId].name
+      });
+    }
+  }
+  
+  
+  // ----- Layer bindings per page, and styles (move only) -----
+  //
+  // Split into bindings rebindVariable() can update and bindings
+  // it can't (those would point at a deleted variable afterwards).
+  
+  const pages = [];
+  const styles = [];
+  const summariesById = {};
+  let supportedCount = 0;
+  let unsupportedCount = 0;
+  
+  // Bindings and explicit modes come from one pass over the file
+  let index = null;
+  
+  if (!plan.isCopy) {
+    index = await buildBindingIndex(plannedIds, {
+      explicitModeCollectionId: sourceCollection.id,
+      onProgress: function(pageName, done, total) {
+        postMoveProgress('scan', pageName, done, total, false);
+      }
+    });
+    
+    for (const binding of getIndexedBindings(index)) {
+      // Style bindings have no page: summarize them per style
+      const owner = binding.page || binding.node;
+      let pageSummary = summariesById[owner.id];
+      
+      if (!pageSummary) {
+        pageSummary = {
+          pageName: owner.name,
+          supported: 0,
+          unsupported: 0,
+          unsupportedProperties: []
+        };
+        summariesById[owner.id] = pageSummary;
+        
+        if (binding.page) {
+          pages.push(pageSummary);
+        } else {
+          pageSummary.styleType = binding.node.type;
+          styles.push(pageSummary);
+        }
+      }
+      
+      if (canRebindVariable(binding)) {
+        pageSummary.supported++;
+        supportedCount++;
+      } else {
+        const kindName = describeBinding(binding);
+        pageSummary.unsupported++;
+        unsupportedCount++;
+        if (pageSummary.unsupportedProperties.indexOf(kindName) === -1) {
+          pageSummary.unsupportedProperties.push(kindName);
+        }
+      }
+    }
+  }
+  
+  // ----- Explicit modes: layers that pin a source mode -----
+  //
+  // Copies leave the originals (and the layers using them) alone.
+  
+  const explicitModes = { remapped: [], unmatched: [], alreadyPinned: [] };
+  
+  if (!plan.isCopy) {
+    for (const entry of index.explicitModeNodes) {
+      const label = entry.node.name + ' (' + entry.page.name + ')';
+      if (entry.node.explicitVariableModes[destinationCollection.id]) {
+        explicitModes.alreadyPinned.push(label);
+      } else if (plan.modeMapping[entry.modeId]) {
+        explicitModes.remapped.push(label);
+      } else {
+        explicitModes.unmatched.push(label);
+      }
+    }
+  }
+  
+  // ----- Merge collection: the source itself -----
+  
+  let mergeCollection = null;
+  
+  if (plan.isMergeCollection) {
+    mergeCollection = {
+      // Skipped duplicates stay behind, so the source can't go
+      removesSource: plan.skipped.length === 0
+    };
+  }
+  
+  return {
+    operation: plan.operation,
+    mergeCollection: mergeCollection,
+    explicitModes: explicitModes,
+    sourceName: sourceCollection.name,
+    destinationName: destinationCollection.name,
+    create: create,
+    merge: merge,
+    skip: skip,
+    modes: modes,
+    aliases: {
+      rewritten: rewritten,
+      kept: kept,
+      missing: missing,
+      flattened: flattened,
+      repointed: repointed
+    },
+    bindings: {
+      pages: pages,
+      styles: styles,
+      supportedCount: supportedCount,
+      unsupportedCount: unsupportedCount
+    }
+  };
+}
+
+
+// ============================================
+// MOVE JOURNAL (UNDO LAST MOVE)
+// ============================================
+//
+// After every move or copy we save a journal in the document's
+// plugin data, so "Undo last move" still works after the plugin
+// has been closed and opened again. Only the LAST move is kept.
+//
+// The journal is plain JSON:
+//
+//   {
+//     operation, timestamp,
+//     sourceCollectionId, sourceName,
+//     sourceModes,         → [{ modeId, name }] of the source collection
+//     sourceRemoved,       → true if a merge deleted the source collection
+//     explicitModes,       → nodes whose pinned mode was remapped
+//     destinationCollectionId, destinationName,
+//     variables: [{
+//       original,          → the original definition and values
+//       newId,             → the variable it was moved into
+//       created,           → true if newId was created by the move
+//       overwrittenValues  → destination values before an overwrite
+//     }],
+//     bindings: [...],     → layer/style bindings that were rebound
+//     aliases: [...],      → aliases re-pointed in other variables
+//     createdModeIds: [...],
+//     createdCollection    → true if the move created the destination
+//   }
+//
+// Figma can't bring back a deleted variable with its old ID, so
+// undo recreates the originals as new variables with the same
+// name, settings and values, and points everything back at them.
+
+const MOVE_JOURNAL_KEY = 'moveJournal';
+
+
+// --------------------------------------------
+// HELPER: Serialize a Variable for the Journal
+// --------------------------------------------
+//
+// Has the same fields as a Variable, so the result can be passed
+// straight to createVariableInCollection() and copyVariableValues().
+
+function serializeVariable(variable) {
+  return {
+    id: variable.id,
+    name: variable.name,
+    resolvedType: variable.resolvedType,
+    description: variable.description,
+    hiddenFromPublishing: variable.hiddenFromPublishing,
+    scopes: variable.scopes,
+    codeSyntax: variable.codeSyntax,
+    valuesByMode: variable.valuesByMode,
+    key: variable.key
+  };
+}
+
+
+// --------------------------------------------
+// HELPER: Serialize a Binding for the Journal
+// --------------------------------------------
+//
+// Nodes and styles are stored by ID and looked up again on undo.
+
+function serializeBinding(binding) {
+  return {
+    nodeId: binding.node.id,
+    pageId: binding.page ? binding.page.id : null,
+    kind: binding.kind,
+    property: binding.property,
+    variableId: binding.variableId,
+    bindingIndex: binding.bindingIndex,
+    stopIndex: binding.stopIndex,
+    field: binding.field,
+    range: binding.range
+  };
+}
+
+
+// --------------------------------------------
+// HELPER: Save / Load / Clear the Move Journal
+// --------------------------------------------
+
+function saveMoveJournal(journal) {
+  try {
+    figma.root.setPluginData(MOVE_JOURNAL_KEY, JSON.stringify(journal));
+    return true;
+  } catch (error) {
+    // Plugin data has a size limit; very large moves may not fit
+    console.error('Could not save the move journal:', error);
+    figma.root.setPluginData(MOVE_JOURNAL_KEY, '');
+    return false;
+  }
+}
+
+function loadMoveJournal() {
+  const data = figma.root.getPluginData(MOVE_JOURNAL_KEY);
+  if (!data) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    console.error('Could not read the move journal:', error);
+    return null;
+  }
+}
+
+function clearMoveJournal() {
+  figma.root.setPluginData(MOVE_JOURNAL_KEY, '');
+}
+
+
+// --------------------------------------------
+// HELPER: Summarize the Move Journal for the UI
+// --------------------------------------------
+
+function summarizeMoveJournal(journal) {
+  if (!journal) {
+    return null;
+  }
+  
+  return {
+    operation: journal.operation,
+    timestamp: journal.timestamp,
+    sourceName: journal.sourceName,
+    destinationName: journal.destinationName,
+    variableCount: journal.variables.length
+  };
+}
+
+
+// --------------------------------------------
+// HELPER: Undo the Last Move
+// --------------------------------------------
+//
+// Reverses a journal in the same order the move ran, backwards:
+//
+//   1. Recreate the originals in the source collection (move only)
+//   2. Point layer/style bindings back at them
+//   3. Point re-pointed aliases in other variables back at them
+//   4. Restore overwritten destination values
+//   5. Remove the variables, modes (or collection, if nothing else
+//      was added to it since) the move created
+//
+// Throws an Error with a user-facing message if undo isn't possible.
+
+async function undoMove(journal) {
+  
+  const isCopy = journal.operation === 'copy';
+  const report = {
+    operation: journal.operation,
+    restoredCount: 0,
+    bindingsRestored: 0,
+    bindingsFailed: 0,
+    aliasesRestored: 0,
+    valuesRestored: 0,
+    removedCount: 0,
+    modesRemoved: []
+  };
+  
+  const destinationCollection = await figma.variables.getVariableCollectionByIdAsync(journal.destinationCollectionId);
+  
+  // ----- Step 1: Recreate the originals -----
+  
+  const restoredMapping = {};  // Old variable ID → recreated variable
+  
+  // Source mode ID in the journal → mode ID in the (maybe recreated)
+  // source collection
+  const sourceModeIds = {};
+  let sourceCollection = null;
+  
+  if (!isCopy) {
+    sourceCollection = await figma.variables.getVariableCollectionByIdAsync(journal.sourceCollectionId);
+    
+    if (sourceCollection) {
+      for (const mode of sourceCollection.modes) {
+        sourceModeIds[mode.modeId] = mode.modeId;
+      }
+    } else if (journal.sourceRemoved) {
+      // A merge deleted the source: bring it back with the same modes
+      sourceCollection = figma.variables.createVariableCollection(journal.sourceName);
+      
+      journal.sourceModes.forEach(function(mode, index) {
+        if (index === 0) {
+          sourceCollection.renameMode(sourceCollection.modes[0].modeId, mode.name);
+          sourceModeIds[mode.modeId] = sourceCollection.modes[0].modeId;
+        } else {
+          sourceModeIds[mode.modeId] = sourceCollection.addMode(mode.name);
+        }
+      });
+      report.collectionRestored = journal.sourceName;
+    } else {
+      throw new Error('The source collection "' + journal.sourceName + '" no longer exists.');
+    }
+    
+    for (const entry of journal.variables) {
+      try {
+        restoredMapping[entry.original.id] = await createVariableInCollection(entry.original, sourceCollection, entry.original.name);
+      } catch (error) {
+        console.error('  Could not recreate', entry.original.name, error);
+      }
+    }
+    
+    // Values go in once every original exists, so aliases between
+    // them resolve (same two phases as a move)
+    const sourceModePlan = {};
+    for (const oldModeId in sourceModeIds) {
+      sourceModePlan[sourceModeIds[oldModeId]] = oldModeId;
+    }
+    
+    for (const entry of journal.variables) {
+      const restoredVariable = restoredMapping[entry.original.id];
+      if (!restoredVariable) {
+        continue;
+      }
+      
+      try {
+        await copyVariableValues(entry.original, restoredVariable, sourceModePlan, restoredMapping);
+        report.restoredCount++;
+      } catch (error) {
+        console.error('  Could not restore values of', entry.original.name, error);
+      }
+    }
+  }
+  
+  // ----- Step 1B: Point the library key map at the recreated originals -----
+  
+  if (!isCopy) {
+    const keyChanges = [];
+    
+    for (const entry of journal.variables) {
+      const restoredVariable = restoredMapping[entry.original.id];
+      const movedVariable = await figma.variables.getVariableByIdAsync(entry.newId);
+      if (!restoredVariable) {
+        continue;
+      }
+      
+      // Created variables are about to be removed: anything that
+      // points at them goes to the original instead. Merged ones
+      // stay, so only the original's own entry is updated.
+      keyChanges.push({
+        oldKey: entry.created && movedVariable ? movedVariable.key : entry.original.key,
+        newKey: restoredVariable.key,
+        name: entry.created && movedVariable ? movedVariable.name : entry.original.name,
+        newName: restoredVariable.name
+      });
+    }
+    
+    recordKeyChanges(keyChanges);
+  }
+  
+  // ----- Step 2: Restore layer and style bindings -----
+  
+  for (const saved of journal.bindings) {
+    const restoredVariable = restoredMapping[saved.variableId];
+    const node = saved.pageId
+      ? await figma.getNodeByIdAsync(saved.nodeId)
+      : await figma.getStyleByIdAsync(saved.nodeId);
+    
+    if (!restoredVariable || !node) {
+      report.bindingsFailed++;
+      continue;
+    }
+    
+    const binding = Object.assign({}, saved, {
+      node: node,
+      page: saved.pageId ? { id: saved.pageId } : null
+    });
+    
+    if (await rebindVariable(binding, restoredVariable)) {
+      report.bindingsRestored++;
+    } else {
+      report.bindingsFailed++;
+    }
+  }
+  
+  // ----- Step 3: Restore aliases in variables that stayed behind -----
+  
+  for (const saved of journal.aliases) {
+    const restoredVariable = restoredMapping[saved.targetId];
+    const variable = await figma.variables.getVariableByIdAsync(saved.variableId);
+    
+    if (!restoredVariable || !variable) {
+      continue;
+    }
+    
+    try {
+      variable.setValueForMode(saved.modeId, figma.variables.createVariableAlias(restoredVariable));
+      report.aliasesRestored++;
+    } catch (error) {
+      console.error('  Could not restore alias in', variable.name, error);
+    }
+  }
+  
+  // ----- Step 3B: Restore explicit modes -----
+  
+  for (const saved of journal.explicitModes || []) {
+    const node = await figma.getNodeByIdAsync(saved.nodeId);
+    if (!node || !sourceCollection) {
+      continue;
+    }
+    
+    try {
+      node.setExplicitVariableModeForCollection(sourceCollection, sourceModeIds[saved.sourceModeId]);
+      
+      if (destinationCollection && saved.previousModeId) {
+        node.setExplicitVariableModeForCollection(destinationCollection, saved.previousModeId);
+      } else if (destinationCollection) {
+        node.clearExplicitVariableModeForCollection(destinationCollection);
+      }
+    } catch (error) {
+      console.error('  Could not restore explicit mode on', node.name, error);
+    }
+  }
+  
+  // ----- Step 4 & 5: Restore overwritten values, remove new variables -----
+  
+  for (const entry of journal.variables) {
+    const newVariable = await figma.variables.getVariableByIdAsync(entry.newId);
+    if (!newVariable) {
+      continue;
+    }
+    
+    try {
+      if (entry.created) {
+        newVariable.remove();
+        report.removedCount++;
+      } else if (entry.overwrittenValues) {
+        for (const modeId in entry.overwrittenValues) {
+          newVariable.setValueForMode(modeId, entry.overwrittenValues[modeId]);
+        }
+        report.valuesRestored++;
+      }
+    } catch (error) {
+      console.error('  Could not undo changes to', newVariable.name, error);
+    }
+  }
+  
+  if (destinationCollection && journal.createdCollection) {
+    // The move made the collection. Its own variables are gone now;
+    // anything still in it was added later, so then it stays.
+    if (destinationCollection.variableIds.length === 0) {
+      destinationCollection.remove();
+      report.collectionRemoved = journal.destinationName;
+    } else {
+      report.collectionKept = journal.destinationName;
+    }
+  } else if (destinationCollection) {
+    for (const modeId of journal.createdModeIds) {
+      const mode = destinationCollection.modes.find(function(item) {
+        return item.modeId === modeId;
+      });
+      
+      if (mode) {
+        try {
+          destinationCollection.removeMode(modeId);
+          report.modesRemoved.push(mode.name);
+        } catch (error) {
+          console.error('  Could not remove mode', mode.name, error);
+        }
+      }
+    }
+  }
+  
+  return report;
+}
+
+
+// ============================================
+// MOVE HISTORY (AUDIT TRAIL)
+// ============================================
+//
+// Every move or copy adds an entry to the document's plugin data,
+// so the team can see what moved where, when and by whom. Unlike
+// the move journal, history is never cleared.
+//
+// Each entry is stored under its own key
+// ("moveHistory/<timestamp>/<random suffix>") so a long history
+// doesn't have to be rewritten on every move. The suffix keeps two
+// moves in the same millisecond (or by two people at once) from
+// overwriting each other.
+
+const HISTORY_KEY_PREFIX = 'moveHistory/';
+
+
+// --------------------------------------------
+// HELPER: Add a Move History Entry
+// --------------------------------------------
+
+function addHistoryEntry(entry) {
+  try {
+    let key;
+    do {
+      key = HISTORY_KEY_PREFIX + entry.timestamp + '/' + Math.random().toString(36).slice(2, 8);
+    } while (figma.root.getPluginData(key) !== '');
+    
+    figma.root.setPluginData(key, JSON.stringify(entry));
+    return true;
+  } catch (error) {
+    console.error('Could not save the history entry:', error);
+    return false;
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Get All Move History Entries (Oldest First)
+// --------------------------------------------
+
+function getHistoryEntries() {
+  
+  const keys = figma.root.getPluginDataKeys().filter(function(key) {
+    return key.indexOf(HISTORY_KEY_PREFIX) === 0;
+  });
+  
+  // ISO timestamps sort chronologically as plain strings (the
+  // suffix only orders entries saved in the same millisecond)
+  keys.sort();
+  
+  const entries = [];
+  
+  for (const key of keys) {
+    try {
+      entries.push(JSON.parse(figma.root.getPluginData(key)));
+    } catch (error) {
+      console.error('Could not read history entry', key, error);
+    }
+  }
+  
+  return entries;
+}
+
+
+// --------------------------------------------
+// HELPER: Get the Current User (For History)
+// --------------------------------------------
+//
+// figma.currentUser needs the "currentuser" permission and can
+// still be null (e.g. when not logged in).
+
+function getCurrentUserInfo() {
+  const user = figma.currentUser;
+  
+  if (!user) {
+    return null;
+  }
+  
+  return {
+    id: user.id,
+    name: user.name
+  };
+}
+
+
+// ============================================
+// LIBRARY KEY MAP (REPAIRING CONSUMER FILES)
+// ============================================
+//
+// Files that use a library refer to its variables by key. A move
+// gives variables new keys, so in those files the bindings point at
+// variables that no longer exist in the library.
+//
+// Every move records old key → new key in the document's shared
+// plugin data:
+//
+//   {
+//     "<old key>": { newKey, name, newName, movedAt },
+//     ...
+//   }
+//
+// The map is exported from the library file and pasted into the
+// "Repair library references" command in each consumer file, which
+// imports the new variables by key and rebinds layers to them.
+
+const SHARED_PLUGIN_NAMESPACE = 'variable_mover';
+const KEY_MAP_KEY = 'variableKeyMap';
+const KEY_MAP_FORMAT = 'variable-mover-key-map';
+
+
+// --------------------------------------------
+// HELPER: Load the Key Map
+// --------------------------------------------
+
+function loadKeyMap() {
+  const data = figma.root.getSharedPluginData(SHARED_PLUGIN_NAMESPACE, KEY_MAP_KEY);
+  
+  if (!data) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    console.error('Could not read the key map:', error);
+    return {};
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Record Key Changes
+// --------------------------------------------
+//
+// changes: [{ oldKey, newKey, name, newName }]
+//
+// Chains are collapsed, so after A → B and then B → C the map says
+// A → C (and B → C): a consumer file is repaired in one step no
+// matter how many moves it missed.
+
+function recordKeyChanges(changes) {
+  
+  const keyMap = loadKeyMap();
+  const movedAt = new Date().toISOString();
+  
+  for (const change of changes) {
+    if (!change.oldKey || !change.newKey || change.oldKey === change.newKey) {
+      continue;
+    }
+    
+    for (const oldKey in keyMap) {
+      if (keyMap[oldKey].newKey === change.oldKey) {
+        keyMap[oldKey].newKey = change.newKey;
+        keyMap[oldKey].newName = change.newName;
+      }
+    }
+    
+    keyMap[change.oldKey] = {
+      newKey: change.newKey,
+      name: change.name,
+      newName: change.newName,
+      movedAt: movedAt
+    };
+  }
+  
+  // A chain can lead back to where it started (e.g. after an undo)
+  for (const oldKey in keyMap) {
+    if (keyMap[oldKey].newKey === oldKey) {
+      delete keyMap[oldKey];
+    }
+  }
+  
+  try {
+    figma.root.setSharedPluginData(SHARED_PLUGIN_NAMESPACE, KEY_MAP_KEY, JSON.stringify(keyMap));
+    return true;
+  } catch (error) {
+    console.error('Could not save the key map:', error);
+    return false;
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Repair Library References
+// --------------------------------------------
+//
+// Runs in a consumer file. Every binding to an imported (remote)
+// variable whose key is in the map is rebound to the new variable,
+// imported with importVariableByKeyAsync(). The library has to be
+// published (with the moved variables) and enabled in this file.
+//
+// Returns { rebound, failed, variablesRepaired, notImported: [name] }
+
+async function repairLibraryReferences(keyMap) {
+  
+  const report = {
+    rebound: 0,
+    failed: 0,
+    variablesRepaired: 0,
+    notImported: []
+  };
+  
+  const boundVariables = {};   // Bound variable ID → variable (or null)
+  const importedByKey = {};    // New key → imported variable (or null)
+  
+  for (const binding of await findAllVariableBindings(null)) {
+    
+    if (!(binding.variableId in boundVariables)) {
+      boundVariables[binding.variableId] = await figma.variables.getVariableByIdAsync(binding.variableId);
+    }
+    
+    const oldVariable = boundVariables[binding.variableId];
+    if (!oldVariable || !oldVariable.remote || !keyMap[oldVariable.key]) {
+      continue;
+    }
+    
+    const entry = keyMap[oldVariable.key];
+    
+    if (!(entry.newKey in importedByKey)) {
+      try {
+        importedByKey[entry.newKey] = await figma.variables.importVariableByKeyAsync(entry.newKey);
+        report.variablesRepaired++;
+      } catch (error) {
+        console.error('  Could not import', entry.newName, error);
+        importedByKey[entry.newKey] = null;
+        report.notImported.push(entry.newName || entry.name);
+      }
+    }
+    
+    const newVariable = importedByKey[entry.newKey];
+    if (!newVariable) {
+      report.failed++;
+      continue;
+    }
+    
+    if (await rebindVariable(binding, newVariable)) {
+      report.rebound++;
+    } else {
+      report.failed++;
+      console.error('  Could not rebind', binding.node.name, '->', describeBinding(binding));
+    }
+  }
+  
+  return report;
+}
+
+
+// ============================================
+// DESIGN TOKENS (W3C DTCG FORMAT)
+// ============================================
+//
+// Selected variables can be exported as a .tokens.json file
+// (https://design-tokens.github.io/community-group/format/):
+//
+//   {
+//     "color": {
+//       "brand": {
+//         "$type": "color",
+//         "$value": "#1e66f5",               → value in the default mode
+//         "$extensions": {
+//           "com.figma": {
+//             "modes": { "Light": "#1e66f5", "Dark": "{color.blue.300}" },
+//             "scopes": [...], "description": "...", "codeSyntax": {...}
+//           }
+//         }
+//       }
+//     }
+//   }
+//
+// Groups come from the slash path of the variable name, aliases
+// become "{group.name}" references. The collection name and its
+// modes are stored in the root group's $extensions.
+
+const TOKENS_EXTENSION_KEY = 'com.figma';
+
+const TOKEN_TYPES = {
+  COLOR: 'color',
+  FLOAT: 'number',
+  STRING: 'string',
+  BOOLEAN: 'boolean'
+};
+
+
+// --------------------------------------------
+// HELPER: Variable Name → Token Path
+// --------------------------------------------
+//
+// "color/brand/primary" → ['color', 'brand', 'primary']
+
+function getTokenPath(name) {
+  return name.split('/').map(function(part) {
+    return part.trim();
+  }).filter(function(part) {
+    return part !== '';
+  });
+}
+
+
+// --------------------------------------------
+// HELPER: Format a Color as a Hex String
+// --------------------------------------------
+//
+// Figma colors use 0-1 channels. The alpha channel is only
+// written when the color isn't fully opaque (#rrggbbaa).
+
+function formatTokenColor(color) {
+  
+  function toHex(channel) {
+    const hex = Math.round(channel * 255).toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  }
+  
+  let hex = '#' + toHex(color.r) + toHex(color.g) + toHex(color.b);
+  
+  if (color.a !== undefined && color.a < 1) {
+    hex += toHex(color.a);
+  }
+  
+  return hex;
+}
+
+
+// --------------------------------------------
+// HELPER: Convert a Variable Value to a Token Value
+// --------------------------------------------
+//
+// variablesById is used to turn aliases into "{group.name}"
+// references. Aliases to variables we can't find are left out
+// (returns undefined).
+
+function toTokenValue(value, resolvedType, variablesById) {
+  
+  if (isVariableAlias(value)) {
+    const target = variablesById[value.id];
+    if (!target) {
+      return undefined;
+    }
+    return '{' + getTokenPath(target.name).join('.') + '}';
+  }
+  
+  if (resolvedType === 'COLOR') {
+    return formatTokenColor(value);
+  }
+  
+  return value;
+}
+
+
+// --------------------------------------------
+// HELPER: Build a Design Tokens File
+// --------------------------------------------
+//
+// Returns { tokens, count, missingAliases, collisions } where tokens
+// is the DTCG object and missingAliases lists "variable (mode)"
+// entries whose alias target couldn't be found.
+//
+// A token can't also be a group: "color" and "color/primary" would
+// need the same JSON key for both. The first variable keeps the
+// key; the other is left out and listed in collisions (as are
+// names that only differ in spaces around "/").
+
+async function buildDesignTokens(collection, variables) {
+  
+  // Alias targets can live in any collection, or in a library
+  const variablesById = {};
+  for (const variable of await figma.variables.getLocalVariablesAsync()) {
+    variablesById[variable.id] = variable;
+  }
+  
+  for (const variable of variables) {
+    for (const modeId in variable.valuesByMode) {
+      const value = variable.valuesByMode[modeId];
+      if (isVariableAlias(value) && !variablesById[value.id]) {
+        const target = await figma.variables.getVariableByIdAsync(value.id);
+        if (target) {
+          variablesById[target.id] = target;
+        }
+      }
+    }
+  }
+  
+  const tokens = {
+    $extensions: {
+      [TOKENS_EXTENSION_KEY]: {
+        collection: collection.name,
+        modes: collection.modes.map(function(mode) {
+          return mode.name;
+        }),
+        defaultMode: collection.modes.find(function(mode) {
+          return mode.modeId === collection.defaultModeId;
+        }).name
+      }
+    }
+  };
+  
+  const missingAliases = [];
+  const collisions = [];
+  const tokenObjects = new Set();
+  let count = 0;
+  
+  for (const variable of variables) {
+    
+    const path = getTokenPath(variable.name);
+    const tokenName = path[path.length - 1];
+    
+    // Walk (and create) the groups down to the token's parent
+    let group = tokens;
+    for (const part of path.slice(0, -1)) {
+      if (!group[part]) {
+        group[part] = {};
+      }
+      group = group[part];
+      if (tokenObjects.has(group)) {
+        break;
+      }
+    }
+    
+    if (tokenObjects.has(group) || group[tokenName]) {
+      collisions.push(variable.name);
+      continue;
+    }
+    
+    const modes = {};
+    for (const mode of collection.modes) {
+      const value = variable.valuesByMode[mode.modeId];
+      if (value === undefined) {
+        continue;
+      }
+      
+      const tokenValue = toTokenValue(value, variable.resolvedType, variablesById);
+      if (tokenValue === undefined) {
+        missingAliases.push(variable.name + ' (' + mode.name + ')');
+        continue;
+      }
+      modes[mode.name] = tokenValue;
+    }
+    
+    const extension = {
+      modes: modes,
+      scopes: variable.scopes,
+      codeSyntax: variable.codeSyntax
+    };
+    
+    const token = {
+      $type: TOKEN_TYPES[variable.resolvedType],
+      $value: modes[tokens.$extensions[TOKENS_EXTENSION_KEY].defaultMode]
+    };
+    
+    if (variable.description) {
+      token.$description = variable.description;
+      extension.description = variable.description;
+    }
+    
+    if (variable.hiddenFromPublishing) {
+      extension.hiddenFromPublishing = true;
+    }
+    
+    token.$extensions = { [TOKENS_EXTENSION_KEY]: extension };
+    
+    group[tokenName] = token;
+    tokenObjects.add(token);
+    count++;
+  }
+  
+  return {
+    tokens: tokens,
+    count: count,
+    missingAliases: missingAliases,
+    collisions: collisions
+  };
+}
+
+
+// ============================================
+// DESIGN TOKENS IMPORT
+// ============================================
+//
+// The inverse of the export: a DTCG file (ours or another tool's)
+// or a Tokens Studio file is turned into variables in a chosen
+// collection, using the same two phases as a move:
+//
+//   Phase 1: createVariableInCollection() for every token
+//   Phase 2: copyVariableValues(), so "{group.name}" references
+//            resolve to the variables created in Phase 1
+//
+// Tokens are read into "token variables" that look like the
+// serialized variables of the move journal, except that
+// valuesByMode is keyed by mode COLUMN name instead of mode ID:
+//
+//   - DTCG: "$value" is the default column; per-mode values come
+//     from $extensions["com.figma"].modes (what the export writes)
+//     or $extensions.mode / $extensions.modes (other exporters)
+//   - Tokens Studio: "value"/"type" tokens; with several token sets
+//     ($metadata.tokenSetOrder) each set is a mode column
+
+const DEFAULT_TOKEN_COLUMN = 'Default';
+
+const TOKEN_ID_PREFIX = 'token:';
+
+// $type / Tokens Studio type → Figma resolvedType
+const TOKEN_RESOLVED_TYPES = {
+  color: 'COLOR',
+  number: 'FLOAT',
+  dimension: 'FLOAT',
+  duration: 'FLOAT',
+  sizing: 'FLOAT',
+  spacing: 'FLOAT',
+  borderRadius: 'FLOAT',
+  borderWidth: 'FLOAT',
+  opacity: 'FLOAT',
+  fontSizes: 'FLOAT',
+  fontWeight: 'FLOAT',
+  fontWeights: 'FLOAT',
+  lineHeights: 'FLOAT',
+  letterSpacing: 'FLOAT',
+  paragraphSpacing: 'FLOAT',
+  string: 'STRING',
+  text: 'STRING',
+  content: 'STRING',
+  fontFamily: 'STRING',
+  fontFamilies: 'STRING',
+  other: 'STRING',
+  boolean: 'BOOLEAN'
+};
+
+
+// --------------------------------------------
+// HELPER: Is This a Token Reference?
+// --------------------------------------------
+//
+// "{color.brand.primary}" → 'color.brand.primary', otherwise null
+
+function getTokenReference(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  
+  const match = value.trim().match(/^\{([^{}]+)\}$/);
+  return match ? match[1].trim() : null;
+}
+
+
+// --------------------------------------------
+// HELPER: Parse a Token Color
+// --------------------------------------------
+//
+// Accepts "#rgb", "#rgba", "#rrggbb", "#rrggbbaa", "rgb(...)",
+// "rgba(...)" and DTCG color objects ({ colorSpace: 'srgb',
+// components: [r, g, b], alpha }). Returns { r, g, b, a } with 0-1
+// channels, or null.
+
+function parseTokenColor(value) {
+  
+  if (value && typeof value === 'object' && Array.isArray(value.components)) {
+    if (value.colorSpace && value.colorSpace !== 'srgb') {
+      return null;
+    }
+    return {
+      r: value.components[0],
+      g: value.components[1],
+      b: value.components[2],
+      a: value.alpha !== undefined ? value.alpha : 1
+    };
+  }
+  
+  if (typeof value !== 'string') {
+    return null;
+  }
+  
+  const text = value.trim();
+  
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(function(digit) {
+        return digit + digit;
+      }).join('');
+    }
+    
+    const channels = [];
+    for (let i = 0; i < digits.length; i += 2) {
+      channels.push(parseInt(digits.slice(i, i + 2), 16) / 255);
+    }
+    
+    return {
+      r: channels[0],
+      g: channels[1],
+      b: channels[2],
+      a: channels.length === 4 ? channels[3] : 1
+    };
+  }
+  
+  const rgb = text.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+%?)\s*)?\)$/i);
+  if (rgb) {
+    let alpha = 1;
+    if (rgb[4] !== undefined) {
+      alpha = rgb[4].slice(-1) === '%' ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    }
+    return {
+      r: parseFloat(rgb[1]) / 255,
+      g: parseFloat(rgb[2]) / 255,
+      b: parseFloat(rgb[3]) / 255,
+      a: alpha
+    };
+  }
+  
+  return null;
+}
+
+
+// --------------------------------------------
+// HELPER: Convert a Token Value to a Variable Value
+// --------------------------------------------
+//
+// Returns null when the value doesn't fit the variable type.
+// Dimensions lose their unit ("16px" → 16, { value: 16, unit: 'px' } → 16).
+
+function parseTokenValue(value, resolvedType) {
+  
+  if (resolvedType === 'COLOR') {
+    return parseTokenColor(value);
+  }
+  
+  if (resolvedType === 'FLOAT') {
+    if (value && typeof value === 'object' && 'value' in value) {
+      value = value.value;
+    }
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+  
+  if (resolvedType === 'BOOLEAN') {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return null;
+  }
+  
+  if (typeof value === 'string' || typeof value === 'number') {
+    return String(value);
+  }
+  
+  return null;
+}
+
+
+// --------------------------------------------
+// HELPER: Guess the Type of an Untyped Token
+// --------------------------------------------
+
+function guessTokenType(value) {
+  if (typeof value === 'boolean') return 'BOOLEAN';
+  if (typeof value === 'number') return 'FLOAT';
+  if (parseTokenColor(value)) return 'COLOR';
+  return 'STRING';
+}
+
+
+// --------------------------------------------
+// HELPER: Collect the Tokens in a Group
+// --------------------------------------------
+//
+// Walks a DTCG / Tokens Studio group and adds every token to
+// tokensByPath ('color.brand.primary' → token variable). $type is
+// inherited from parent groups. column is the mode column that
+// plain "$value"s belong to; columns collects every column seen.
+
+function collectTokens(group, path, inheritedType, column, tokensByPath, columns) {
+  
+  for (const key in group) {
+    if (key.charAt(0) === '$') {
+      continue;
+    }
+    
+    const node = group[key];
+    if (!node || typeof node !== 'object') {
+      continue;
+    }
+    
+    const nodePath = path.concat(key);
+    const isDtcgToken = '$value' in node;
+    const isStudioToken = 'value' in node && typeof node.type === 'string';
+    
+    if (!isDtcgToken && !isStudioToken) {
+      collectTokens(node, nodePath, node.$type || inheritedType, column, tokensByPath, columns);
+      continue;
+    }
+    
+    const pathKey = nodePath.join('.');
+    let token = tokensByPath[pathKey];
+    
+    if (!token) {
+      token = {
+        id: TOKEN_ID_PREFIX + pathKey,
+        name: nodePath.join('/'),
+        type: null,
+        description: '',
+        hiddenFromPublishing: false,
+        scopes: null,
+        codeSyntax: null,
+        rawValuesByMode: {}
+      };
+      tokensByPath[pathKey] = token;
+    }
+    
+    token.type = token.type || (isDtcgToken ? node.$type : node.type) || inheritedType || null;
+    token.description = token.description || (isDtcgToken ? node.$description : node.description) || '';
+    
+    const extensions = node.$extensions || {};
+    const figmaExtension = extensions[TOKENS_EXTENSION_KEY] || {};
+    const modeValues = figmaExtension.modes || extensions.modes || extensions.mode;
+    
+    if (figmaExtension.scopes) token.scopes = figmaExtension.scopes;
+    if (figmaExtension.codeSyntax) token.codeSyntax = figmaExtension.codeSyntax;
+    if (figmaExtension.hiddenFromPublishing) token.hiddenFromPublishing = true;
+    if (!token.description && figmaExtension.description) token.description = figmaExtension.description;
+    
+    if (modeValues && typeof modeValues === 'object') {
+      for (const modeName in modeValues) {
+        token.rawValuesByMode[modeName] = modeValues[modeName];
+        columns.add(modeName);
+      }
+    } else {
+      token.rawValuesByMode[column] = isDtcgToken ? node.$value : node.value;
+      columns.add(column);
+    }
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Parse a Design Tokens File
+// --------------------------------------------
+//
+// Returns {
+//   tokens:        [token variable],
+//   columns:       [mode column names],
+//   defaultColumn: column for the collection's default mode
+// }
+
+function parseDesignTokens(json) {
+  
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('The file is not a design tokens object.');
+  }
+  
+  const tokensByPath = {};
+  const columns = new Set();
+  let defaultColumn = DEFAULT_TOKEN_COLUMN;
+  
+  const setOrder = json.$metadata && json.$metadata.tokenSetOrder;
+  
+  if (Array.isArray(setOrder)) {
+    // Tokens Studio with several sets: one column per set
+    for (const setName of setOrder) {
+      if (json[setName]) {
+        collectTokens(json[setName], [], null, setName, tokensByPath, columns);
+      }
+    }
+    defaultColumn = setOrder[0];
+  } else {
+    const rootExtension = json.$extensions && json.$extensions[TOKENS_EXTENSION_KEY];
+    if (rootExtension && rootExtension.defaultMode) {
+      defaultColumn = rootExtension.defaultMode;
+    }
+    collectTokens(json, [], json.$type || null, defaultColumn, tokensByPath, columns);
+  }
+  
+  const tokens = Object.values(tokensByPath);
+  
+  if (tokens.length === 0) {
+    throw new Error('No tokens found in the file.');
+  }
+  
+  return {
+    tokens: tokens,
+    columns: Array.from(columns),
+    defaultColumn: defaultColumn
+  };
+}
+
+
+// --------------------------------------------
+// HELPER: Resolve the Variable Type of Each Token
+// --------------------------------------------
+//
+// Uses $type when it is known, otherwise the first plain value.
+// A token that only references others takes its target's type.
+
+function resolveTokenTypes(tokens, tokensByPath) {
+  
+  function resolveType(token, depth) {
+    if (token.resolvedType) {
+      return token.resolvedType;
+    }
+    if (token.type && TOKEN_RESOLVED_TYPES[token.type]) {
+      return TOKEN_RESOLVED_TYPES[token.type];
+    }
+    
+    for (const column in token.rawValuesByMode) {
+      const value = token.rawValuesByMode[column];
+      const reference = getTokenReference(value);
+      
+      if (!reference) {
+        return guessTokenType(value);
+      }
+      if (tokensByPath[reference] && depth < 10) {
+        return resolveType(tokensByPath[reference], depth + 1);
+      }
+    }
+    
+    return 'STRING';
+  }
+  
+  for (const token of tokens) {
+    token.resolvedType = resolveType(token, 0);
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Map Mode Columns to Collection Modes
+// --------------------------------------------
+//
+// Columns are mode names from a file (token columns, or the modes
+// of a bundle). Each one goes to the mode with the same name; the
+// default column (or the only one) falls back to the default mode,
+// and the rest are created when createMissingModes is set.
+//
+// Returns {
+//   modePlan:       destination mode ID → column (see buildModeValuePlan)
+//   createdModes:   [column],
+//   ignoredColumns: [column]
+// }
+
+function mapModeColumns(collection, columns, defaultColumn, createMissingModes) {
+  
+  const result = {
+    modePlan: {},
+    createdModes: [],
+    ignoredColumns: []
+  };
+  
+  for (const column of columns) {
+    let mode = collection.modes.find(function(candidate) {
+      return candidate.name.toLowerCase() === column.toLowerCase();
+    });
+    
+    if (!mode && (columns.length === 1 || column === defaultColumn) &&
+        !result.modePlan[collection.defaultModeId]) {
+      mode = { modeId: collection.defaultModeId };
+    }
+    
+    if (!mode && createMissingModes) {
+      try {
+        mode = { modeId: collection.addMode(column) };
+        result.createdModes.push(column);
+      } catch (error) {
+        console.error('  Could not create mode', column, error);
+      }
+    }
+    
+    if (mode && !result.modePlan[mode.modeId]) {
+      result.modePlan[mode.modeId] = column;
+    } else {
+      result.ignoredColumns.push(column);
+    }
+  }
+  
+  return result;
+}
+
+
+// --------------------------------------------
+// HELPER: Remove Created Modes Nothing Was Written To
+// --------------------------------------------
+//
+// mapModeColumns() adds the missing modes before any variable is
+// created. When every variable with a value for a new mode was
+// skipped or failed, that mode would be left behind empty, so it
+// is removed again and no longer reported as created.
+
+function removeUnusedCreatedModes(collection, modes, writtenColumns) {
+  
+  for (const modeId in modes.modePlan) {
+    const column = modes.modePlan[modeId];
+    
+    if (modes.createdModes.indexOf(column) === -1 || writtenColumns.indexOf(column) !== -1) {
+      continue;
+    }
+    
+    try {
+      collection.removeMode(modeId);
+      delete modes.modePlan[modeId];
+      modes.createdModes.splice(modes.createdModes.indexOf(column), 1);
+      console.log('  Removed unused new mode', column);
+    } catch (error) {
+      console.error('  Could not remove mode', column, error);
+    }
+  }
+}
+
+
+// --------------------------------------------
+// HELPER: Create Variables From Mode Columns
+// --------------------------------------------
+//
+// Shared by the tokens import and the bundle unpack. variables look
+// like serialized variables, with valuesByMode keyed by column.
+//
+// Aliases are resolved through idMapping ONLY. The caller seeds it
+// with existing variables that references should point at; an ID
+// from another file could match an unrelated variable here, so
+// aliases that aren't in idMapping are left out and reported.
+//
+// Name clashes (findDuplicateNames) follow conflictStrategy:
+//   skip      → nothing is created; aliases use the existing variable
+//               (if it has the same type)
+//   rename    → created as "name (2)"
+//   overwrite → the existing variable gets the new values
+//
+// Returns { created, renamed, overwritten, skipped: [name],
+//           unresolvedAliases: [text], failures: [text],
+//           writtenColumns: [column] }
+// and fills idMapping (variable ID → variable in the collection).
+
+async function createVariablesFromColumns(variables, collection, modePlan, conflictStrategy, idMapping) {
+  
+  const report = {
+    created: 0,
+    renamed: 0,
+    overwritten: 0,
+    skipped: [],
+    unresolvedAliases: [],
+    failures: [],
+    writtenColumns: []
+  };
+  
+  // ----- Name clashes -----
+  
+  const existingByName = await getVariablesByNameInCollection(collection.id);
+  const takenNames = new Set(existingByName.keys());
+  const check = findDuplicateNames(variables, takenNames, null);
+  
+  // Names created by this import are taken too, so a renamed
+  // duplicate can't end up with the name of another new variable
+  for (const variable of check.canMove) {
+    takenNames.add(variable.name);
+  }
+  
+  const toCreate = check.canMove.map(function(variable) {
+    return { variable: variable, name: variable.name };
+  });
+  const toOverwrite = [];
+  
+  for (const variable of check.duplicates) {
+    const existingVariable = existingByName.get(variable.name);
+    const strategy = resolveConflictStrategy(variable, existingVariable, conflictStrategy, null);
+    
+    if (strategy === 'rename') {
+      toCreate.push({ variable: variable, name: getUniqueName(variable.name, takenNames) });
+      report.renamed++;
+    } else if (strategy === 'overwrite') {
+      idMapping[variable.id] = existingVariable;
+      toOverwrite.push(variable);
+    } else {
+      // Aliases may use the existing variable instead - but only if
+      // it has the same type (overwrite of a different type ends up
+      // here too); otherwise they are reported as unresolved
+      if (existingVariable.resolvedType === variable.resolvedType) {
+        idMapping[variable.id] = existingVariable;
+      }
+      report.skipped.push(variable.name);
+    }
+  }
+  
+  // ===== PHASE 1: CREATE VARIABLES =====
+  
+  console.log('  PHASE 1: Creating', toCreate.length, 'variables...');
+  
+  for (const entry of toCreate) {
+    try {
+      idMapping[entry.variable.id] = await createVariableInCollection(entry.variable, collection, entry.name);
+      report.created++;
+    } catch (error) {
+      console.error('  Could not create', entry.name, error);
+      report.failures.push(entry.name + ': ' + error.message);
+    }
+  }
+  
+  // ===== PHASE 2: SET VALUES =====
+  
+  console.log('  PHASE 2: Setting values...');
+  
+  const variablesToFill = toCreate.map(function(entry) {
+    return entry.variable;
+  }).concat(toOverwrite);
+  
+  for (const variable of variablesToFill) {
+    const target = idMapping[variable.id];
+    if (!target) {
+      continue;
+    }
+    
+    // Only the columns this variable has a usable value for
+    const values = {};
+    for (const column in variable.valuesByMode) {
+      const value = variable.valuesByMode[column];
+      if (isVariableAlias(value) && !idMapping[value.id]) {
+        report.unresolvedAliases.push(variable.name + ' (' + column + ')');
+        continue;
+      }
+      values[column] = value;
+    }
+    
+    const variableModePlan = {};
+    for (const modeId in modePlan) {
+      if (modePlan[modeId] in values) {
+        variableModePlan[modeId] = modePlan[modeId];
+      }
+    }
+    
+    try {
+      await copyVariableValues(Object.assign({}, variable, { valuesByMode: values }), target, variableModePlan, idMapping);
+      if (toOverwrite.indexOf(variable) !== -1) {
+        report.overwritten++;
+      }
+      for (const modeId in variableModePlan) {
+        if (report.writtenColumns.indexOf(variableModePlan[modeId]) === -1) {
+          report.writtenColumns.push(variableModePlan[modeId]);
+        }
+      }
+    } catch (error) {
+      console.error('  Could not set values of', target.name, error);
+      report.failures.push(target.name + ': ' + error.message);
+    }
+  }
+  
+  return report;
+}
+
+
+// --------------------------------------------
+// HELPER: Import Design Tokens Into a Collection
+// --------------------------------------------
+//
+// Options:
+//   conflictStrategy:   'skip' | 'rename' | 'overwrite'
+//                       (for tokens whose name already exists)
+//   createMissingModes: add a mode for columns that don't match one
+//
+// Returns a report for the UI.
+
+async function importDesignTokens(json, collection, options) {
+  
+  const parsed = parseDesignTokens(json);
+  const tokens = parsed.tokens;
+  
+  const tokensByPath = {};
+  for (const token of tokens) {
+    tokensByPath[getTokenPath(token.name).join('.')] = token;
+  }
+  
+  resolveTokenTypes(tokens, tokensByPath);
+  
+  const modes = mapModeColumns(collection, parsed.columns, parsed.defaultColumn, options.createMissingModes);
+  
+  // ----- Token values → variable values -----
+  //
+  // References point at another token ('token:...' IDs) or, failing
+  // that, at an existing variable with that path: in this collection
+  // first, then anywhere in the file.
+  
+  const localByPath = {};
+  for (const variable of await figma.variables.getLocalVariablesAsync()) {
+    const pathKey = getTokenPath(variable.name).join('.');
+    if (!localByPath[pathKey] || variable.variableCollectionId === collection.id) {
+      localByPath[pathKey] = variable;
+    }
+  }
+  
+  // Token ID → variable that receives its values (and its aliases)
+  const idMapping = {};
+  const unknownReferences = [];
+  const invalidValues = [];
+  
+  for (const token of tokens) {
+    token.valuesByMode = {};
+    
+    for (const column in token.rawValuesByMode) {
+      const value = token.rawValuesByMode[column];
+      const reference = getTokenReference(value);
+      
+      if (reference) {
+        const target = tokensByPath[reference] || localByPath[reference];
+        if (!target) {
+          unknownReferences.push(token.name + ' → {' + reference + '}');
+          continue;
+        }
+        if (!tokensByPath[reference]) {
+          idMapping[target.id] = target;
+        }
+        token.valuesByMode[column] = { type: 'VARIABLE_ALIAS', id: target.id };
+        continue;
+      }
+      
+      const parsedValue = parseTokenValue(value, token.resolvedType);
+      if (parsedValue === null) {
+        invalidValues.push(token.name + ' (' + column + ')');
+      } else {
+        token.valuesByMode[column] = parsedValue;
+      }
+    }
+  }
+  
+  console.log('IMPORT: Creating', tokens.length, 'tokens in', collection.name);
+  
+  const result = await createVariablesFromColumns(tokens, collection, modes.modePlan, options.conflictStrategy, idMapping);
+  removeUnusedCreatedModes(collection, modes, result.writtenColumns);
+  
+  console.log('IMPORT complete:', result.created, 'created,', result.overwritten, 'overwritten,', result.skipped.length, 'skipped');
+  
+  return {
+    tokenCount: tokens.length,
+    created: result.created,
+    renamed: result.renamed,
+    overwritten: result.overwritten,
+    skipped: result.skipped,
+    createdModes: modes.createdModes,
+    ignoredColumns: modes.ignoredColumns,
+    // References to tokens that failed to import count as unknown too
+    unresolvedAliases: unknownReferences.concat(result.unresolvedAliases),
+    invalidValues: invalidValues,
+    failures: result.failures
+  };
+}
+
+
+// ============================================
+// CROSS-FILE BUNDLES (PACK & UNPACK)
+// ============================================
+//
+// Variables can't be moved between files directly, so the move
+// happens in two steps:
+//
+//   1. Pack (in the source file): the selected variables, with
+//      their values, scopes, code syntax and the mode names, go into
+//      a JSON bundle. Aliases to variables outside the selection are
+//      described by name in aliasTargets.
+//   2. Unpack (in the target file): the bundle is recreated in a
+//      collection there, using the same two phases as a move.
+//      Aliases resolve to bundled variables first, then to variables
+//      with the same name in the target file; the rest are reported.
+//      Optionally, layers bound to the old (library) variables are
+//      rebound to the new ones by name.
+//
+// Variable IDs are only meaningful in the file they come from, so
+// they are used as keys inside the bundle and never looked up.
+
+const BUNDLE_FORMAT = 'variable-mover-bundle';
+const BUNDLE_VERSION = 1;
+
+
+// --------------------------------------------
+// HELPER: Pack Variables Into a Bundle
+// --------------------------------------------
+
+async function packVariables(collection, variables) {
+  
+  const bundledIds = new Set(variables.map(function(variable) {
+    return variable.id;
+  }));
+  
+  // Alias targets outside the bundle, by ID: { name, collectionName, resolvedType, key }
+  const aliasTargets = {};
+  const collectionNames = {};
+  
+  for (const variable of variables) {
+    for (const modeId in variable.valuesByMode) {
+      const value = variable.valuesByMode[modeId];
+      if (!isVariableAlias(value) || bundledIds.has(value.id) || aliasTargets[value.id]) {
+        continue;
+      }
+      
+      const target = await figma.variables.getVariableByIdAsync(value.id);
+      if (!target) {
+        continue;
+      }
+      
+      if (!(target.variableCollectionId in collectionNames)) {
+        const targetCollection = await figma.variables.getVariableCollectionByIdAsync(target.variableCollectionId);
+        collectionNames[target.variableCollectionId] = targetCollection ? targetCollection.name : '';
+      }
+      
+      aliasTargets[target.id] = {
+        name: target.name,
+        collectionName: collectionNames[target.variableCollectionId],
+        resolvedType: target.resolvedType,
+        key: target.key
+      };
+    }
+  }
+  
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    fileName: figma.root.name,
+    collection: {
+      id: collection.id,
+      name: collection.name,
+      defaultModeId: collection.defaultModeId,
+      modes: collection.modes.map(function(mode) {
+        return { modeId: mode.modeId, name: mode.name };
+      })
+    },
+    variables: variables.map(serializeVariable),
+    aliasTargets: aliasTargets
+  };
+}
+
+
+// --------------------------------------------
+// HELPER: Unpack a Bundle Into a Collection
+// --------------------------------------------
+//
+// Options:
+//   collectionId:       collection to unpack into, or null to create
+//                       one with the bundle's name and modes
+//   conflictStrategy:   'skip' | 'rename' | 'overwrite'
+//   createMissingModes: add modes the collection doesn't have
+//   rebindByName:       rebind layers and styles to the new variables
+//
+// Returns a report for the UI.
+
+async function unpackBundle(bundle, options) {
+  
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('This is not a Variable Mover bundle.');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error('This bundle was made by a newer version of the plugin.');
+  }
+  
+  // ----- Destination collection -----
+  
+  let collection = null;
+  let createdCollection = false;
+  
+  if (options.collectionId) {
+    collection = await figma.variables.getVariableCollectionByIdAsync(options.collectionId);
+    if (!collection) {
+      throw new Error('Could not find the collection to unpack into.');
+    }
+  } else {
+    collection = createCollectionForMove(bundle.collection, { name: bundle.collection.name }).collection;
+    createdCollection = true;
+  }
+  
+  // ----- Modes: matched by name -----
+  
+  const columns = bundle.collection.modes.map(function(mode) {
+    return mode.name;
+  });
+  const defaultMode = bundle.collection.modes.find(function(mode) {
+    return mode.modeId === bundle.collection.defaultModeId;
+  });
+  
+  const modes = mapModeColumns(collection, columns, defaultMode ? defaultMode.name : columns[0], options.createMissingModes);
+  
+  // Values keyed by mode name instead of the other file's mode IDs
+  const variables = bundle.variables.map(function(variable) {
+    const valuesByMode = {};
+    for (const mode of bundle.collection.modes) {
+      if (mode.modeId in variable.valuesByMode) {
+        valuesByMode[mode.name] = variable.valuesByMode[mode.modeId];
+      }
+    }
+    return Object.assign({}, variable, { valuesByMode: valuesByMode });
+  });
+  
+  // ----- Aliases to variables outside the bundle -----
+  //
+  // Same name in a collection with the same name first, then the
+  // same name anywhere in this file.
+  
+  const idMapping = {};
+  const missingAliases = [];
+  const localVariables = await figma.variables.getLocalVariablesAsync();
+  
+  const localCollectionNames = {};
+  for (const localCollection of await figma.variables.getLocalVariableCollectionsAsync()) {
+    localCollectionNames[localCollection.id] = localCollection.name;
+  }
+  
+  for (const targetId in bundle.aliasTargets) {
+    const target = bundle.aliasTargets[targetId];
+    
+    const candidates = localVariables.filter(function(variable) {
+      return variable.name === target.name && variable.resolvedType === target.resolvedType;
+    });
+    const match = candidates.find(function(variable) {
+      return localCollectionNames[variable.variableCollectionId] === target.collectionName;
+    }) || candidates[0];
+    
+    if (match) {
+      idMapping[targetId] = match;
+    } else {
+      missingAliases.push(target.name + (target.collectionName ? ' (' + target.collectionName + ')' : ''));
+    }
+  }
+  
+  console.log('UNPACK:', variables.length, 'variables into', collection.name);
+  
+  const result = await createVariablesFromColumns(variables, collection, modes.modePlan, options.conflictStrategy, idMapping);
+  removeUnusedCreatedModes(collection, modes, result.writtenColumns);
+  
+  // ----- Rebind layers by name (optional) -----
+  //
+  // Only bindings to library variables, or to variables in a local
+  // collection with the bundle's collection name, are candidates, so
+  // unrelated variables that happen to share a name are left alone.
+  
+  let rebound = 0;
+  let rebindFailed = 0;
+  
+  if (options.rebindByName) {
+    console.log('UNPACK: Rebinding layers by name...');
+    
+    const newVariablesByName = {};
+    for (const variable of bundle.variables) {
+      if (idMapping[variable.id]) {
+        newVariablesByName[variable.name] = idMapping[variable.id];
+      }
+    }
+    
+    const boundVariables = {};
+    
+    for (const binding of await findAllVariableBindings(null)) {
+      if (!(binding.variableId in boundVariables)) {
+        boundVariables[binding.variableId] = await figma.variables.getVariableByIdAsync(binding.variableId);
+      }
+      
+      const oldVariable = boundVariables[binding.variableId];
+      if (!oldVariable || oldVariable.variableCollectionId === collection.id) {
+        continue;
+      }
+      
+      const isCandidate = oldVariable.remote ||
+        localCollectionNames[oldVariable.variableCollectionId] === bundle.collection.name;
+      const newVariable = newVariablesByName[oldVariable.name];
+      
+      if (!isCandidate || !newVariable || newVariable.id === oldVariable.id ||
+          newVariable.resolvedType !== oldVariable.resolvedType) {
+        continue;
+      }
+      
+      if (await rebindVariable(binding, newVariable)) {
+        rebound++;
+      } else {
+        rebindFailed++;
+        console.error('  Could not rebind', binding.node.name, '->', describeBinding(binding));
+      }
+    }
+  }
+  
+  console.log('UNPACK complete:', result.created, 'created,', rebound, 'bindings rebound');
+  
+  return {
+    collectionName: collection.name,
+    createdCollection: createdCollection,
+    sourceFileName: bundle.fileName,
+    variableCount: variables.length,
+    created: result.created,
+    renamed: result.renamed,
+    overwritten: result.overwritten,
+    skipped: result.skipped,
+    createdModes: modes.createdModes,
+    ignoredColumns: modes.ignoredColumns,
+    missingAliases: missingAliases,
+    unresolvedAliases: result.unresolvedAliases,
+    failures: result.failures,
+    rebound: rebound,
+    rebindFailed: rebindFailed
+  };
+}
+
+
+// ============================================
+// MOVE PROGRESS & CANCELLATION
+// ============================================
+//
+// Big files take a while, so the move handler streams
+// 'move-progress' messages to the UI:
+//
+//   { phase: 'create' | 'values' | 'scan' | 'rebind',
+//     page,         → page (or variable) being worked on
+//     done, total,  → counts for the progress bar
+//     cancellable } → whether the Cancel button makes sense
+//
+// Cancel sets moveCancelRequested. The move handler checks it
+// between steps and, if set, rolls everything back. It is never
+// checked after Phase 3, so a move is either cancelled before
+// anything is deleted or runs to the end.
+//
+// Creating variables and setting values don't wait on anything,
+// so the loops call yieldToUI() every PROGRESS_INTERVAL items.
+// Without that, neither the progress messages nor the Cancel
+// click would get through until the loop was over.
+
+let moveCancelRequested = false;
+
+const PROGRESS_INTERVAL = 50;
+
+
+// --------------------------------------------
+// HELPER: Send Move Progress to the UI
+// --------------------------------------------
+
+function postMoveProgress(phase, page, done, total, cancellable) {
+  figma.ui.postMessage({
+    type: 'move-progress',
+    phase: phase,
+    page: page,
+    done: done,
+    total: total,
+    cancellable: cancellable
+  });
+}
+
+
+// --------------------------------------------
+// HELPER: Let the UI Catch Up
+// --------------------------------------------
+//
+// Gives pending messages (progress, 'cancel-move') a chance to
+// be delivered before the next batch of work.
+
+function yieldToUI() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 0);
+  });
+}
+
+
+// ============================================
+// STEP 3: LISTEN FOR MESSAGES FROM THE UI
+// ============================================
+
+figma.ui.on('message', async function(msg) {
+  
+  // ============================================
+  // MESSAGE TYPE: 'get-collections'
+  // ============================================
+  
+  if (msg.type === 'get-collections') {
+    const collections = await getAllCollections();
+    
+    figma.ui.postMessage({
+      type: 'collections-list',
+      collections: collections
+    });
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'get-variables-preview'
+  // ============================================
+  
+  //
+  // msg.filter (optional) limits the list to matching variables,
+  // see VARIABLE FILTERS.
+  
+  if (msg.type === 'get-variables-preview') {
+    const collectionId = msg.collectionId;
+    const variables = await getVariablesInCollection(collectionId);
+    
+    // Alias information looks at every local variable
+    const allVariables = await figma.variables.getLocalVariablesAsync();
+    const variablesById = {};
+    for (const variable of allVariables) {
+      variablesById[variable.id] = variable;
+    }
+    const aliasedByCounts = countAliasedBy(allVariables);
+    
+    const matchingVariables = filterVariables(variables, msg.filter, variablesById, aliasedByCounts);
+    
+    const preview = matchingVariables.map(function(variable) {
+      return {
+        id: variable.id,
+        name: variable.name,
+        type: getDisplayTypeName(variable.resolvedType),
+        description: variable.description || '',
+        isAlias: Object.values(variable.valuesByMode).some(isVariableAlias),
+        aliasedByCount: aliasedByCounts[variable.id] || 0
+      };
+    });
+    
+    figma.ui.postMessage({
+      type: 'variables-preview',
+      variables: preview,
+      count: preview.length,
+      totalCount: variables.length,
+      filtered: !isEmptyFilter(msg.filter)
+    });
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'get-alias-graph'
+  // ============================================
+  //
+  // The alias graph of the whole file, for the dependency view.
+  // It doesn't depend on the filters, so the UI asks for it once
+  // per source selection rather than with every variables preview.
+  
+  if (msg.type === 'get-alias-graph') {
+    const allVariables = await figma.variables.getLocalVariablesAsync();
+    
+    figma.ui.postMessage({
+      type: 'alias-graph',
+      graph: await buildAliasGraph(allVariables)
+    });
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'get-variable-usage'
+  // ============================================
+  //
+  // Every layer and style bound to one variable, for the usage
+  // panel. Uses the same scan as the move, so what's listed here
+  // is exactly what a move would rebind.
+  
+  if (msg.type === 'get-variable-usage') {
+    
+    const variable = await figma.variables.getVariableByIdAsync(msg.variableId);
+    
+    if (!variable) {
+      figma.ui.postMessage({
+        type: 'usage-error',
+        message: 'Variable not found. It may have been deleted.'
+      });
+      return;
+    }
+    
+    try {
+      const index = await buildBindingIndex([variable.id]);
+      
+      figma.ui.postMessage({
+        type: 'variable-usage',
+        variableId: variable.id,
+        variableName: variable.name,
+        usage: summarizeUsage(getIndexedBindings(index))
+      });
+      
+    } catch (error) {
+      console.error('Usage scan failed:', error);
+      figma.ui.postMessage({
+        type: 'usage-error',
+        message: 'Could not find where "' + variable.name + '" is used: ' + error.message
+      });
+    }
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'find-unused'
+  // ============================================
+  //
+  // Lists the unused variables of a collection for the picker's
+  // "unused" badges and the cleanup actions.
+  
+  if (msg.type === 'find-unused') {
+    
+    const collection = await figma.variables.getVariableCollectionByIdAsync(msg.collectionId);
+    
+    if (!collection) {
+      figma.ui.postMessage({
+        type: 'unused-error',
+        message: 'Collection not found. It may have been deleted.'
+      });
+      return;
+    }
+    
+    try {
+      const unused = await findUnusedVariables(collection, function(pageName, done, total) {
+        postMoveProgress('scan', pageName, done, total, false);
+      });
+      
+      figma.ui.postMessage({
+        type: 'unused-variables',
+        collectionId: collection.id,
+        variableIds: unused.map(function(variable) {
+          return variable.id;
+        })
+      });
+      
+    } catch (error) {
+      console.error('Finding unused variables failed:', error);
+      figma.ui.postMessage({
+        type: 'unused-error',
+        message: 'Could not check for unused variables: ' + error.message
+      });
+    }
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'delete-unused'
+  // ============================================
+  //
+  // Deletes the given variables - but checks again first and
+  // leaves alone any that got used since the UI last looked.
+  // This is NOT journaled, so "Undo Last Move" can't bring them
+  // back; the UI says so before the user confirms. (Archiving
+  // them is a regular move, which can be undone.)
+  
+  if (msg.type === 'delete-unused') {
+    
+    const collection = await figma.variables.getVariableCollectionByIdAsync(msg.collectionId);
+    
+    if (!collection) {
+      figma.ui.postMessage({
+        type: 'unused-error',
+        message: 'Collection not found. It may have been deleted.'
+      });
+      return;
+    }
+    
+    let unusedIds = null;
+    
+    try {
+      const unused = await findUnusedVariables(collection, function(pageName, done, total) {
+        postMoveProgress('scan', pageName, done, total, false);
+      });
+      unusedIds = new Set(unused.map(function(variable) {
+        return variable.id;
+      }));
+    } catch (error) {
+      console.error('Checking unused variables failed:', error);
+      figma.ui.postMessage({
+        type: 'unused-error',
+        message: 'Nothing was deleted: could not check the variables again (' + error.message + ')'
+      });
+      return;
+    }
+    
+    const deleted = [];
+    const stillUsed = [];
+    const failed = [];
+    
+    for (const variableId of msg.variableIds) {
+      const variable = await figma.variables.getVariableByIdAsync(variableId);
+      if (!variable) {
+        continue;
+      }
+      
+      if (!unusedIds.has(variableId)) {
+        stillUsed.push(variable.name);
+        continue;
+      }
+      
+      // The name can't be read once the variable is removed
+      const name = variable.name;
+      
+      try {
+        variable.remove();
+        deleted.push(name);
+        console.log('  Deleted unused variable:', name);
+      } catch (error) {
+        console.error('  Could not delete', name, error);
+        failed.push(name);
+      }
+    }
+    
+    figma.notify('Deleted ' + deleted.length + ' unused variable(s)');
+    figma.ui.postMessage({
+      type: 'unused-deleted',
+      collectionName: collection.name,
+      deleted: deleted,
+      stillUsed: stillUsed,
+      failed: failed
+    });
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'select-node'
+  // ============================================
+  //
+  // Clicking a usage entry: go to its page, select it and zoom in.
+  
+  if (msg.type === 'select-node') {
+    
+    const page = await figma.getNodeByIdAsync(msg.pageId);
+    const node = await figma.getNodeByIdAsync(msg.nodeId);
+    
+    if (!page || page.type !== 'PAGE' || !node || node.removed) {
+      figma.notify('That layer no longer exists');
+      return;
+    }
+    
+    await figma.setCurrentPageAsync(page);
+    figma.currentPage.selection = [node];
+    figma.viewport.scrollAndZoomIntoView([node]);
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'preview-names'
+  // ============================================
+  //
+  // Live before/after preview for the rename step. Names are
+  // worked out here with getTargetName(), exactly as the move does.
+  
+  if (msg.type === 'preview-names') {
+    
+    const nameOptions = getNameOptions(msg);
+    
+    if (nameOptions.error) {
+      figma.ui.postMessage({
+        type: 'name-preview',
+        error: nameOptions.error,
+        names: []
+      });
+      return;
+    }
+    
+    const selectedIds = new Set(msg.variableIds);
+    const variables = (await getVariablesInCollection(msg.sourceCollectionId)).filter(function(variable) {
+      return selectedIds.has(variable.id);
+    });
+    
+    const countsByTargetName = new Map();
+    const names = variables.map(function(variable) {
+      const targetName = getTargetName(variable, nameOptions);
+      countsByTargetName.set(targetName, (countsByTargetName.get(targetName) || 0) + 1);
+      return { name: variable.name, targetName: targetName };
+    });
+    
+    for (const entry of names) {
+      entry.problem = checkTargetName(entry.targetName) ||
+        (countsByTargetName.get(entry.targetName) > 1 ? 'another variable gets the same name' : null);
+    }
+    
+    figma.ui.postMessage({
+      type: 'name-preview',
+      error: null,
+      names: names
+    });
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'check-duplicates'
+  // ============================================
+  
+  if (msg.type === 'check-duplicates') {
+    
+    const sourceCollectionId = msg.sourceCollectionId;
+    const destinationCollectionId = msg.destinationCollectionId;
+    
+    const sourceVariables = await getVariablesInCollection(sourceCollectionId);
+    const destinationVariablesByName = await getVariablesByNameInCollection(destinationCollectionId);
+    
+    const nameOptions = getNameOptions(msg);
+    const result = findDuplicateNames(sourceVariables, destinationVariablesByName, nameOptions);
+    
+    // Work out how values would be copied, so we can tell the user
+    // whether each duplicate already has the same values (safe to merge)
+    const sourceCollection = await figma.variables.getVariableCollectionByIdAsync(sourceCollectionId);
+    const destinationCollection = await figma.variables.getVariableCollectionByIdAsync(destinationCollectionId);
+    let modePlan = {};
+    
+    if (sourceCollection && destinationCollection) {
+      const modeMapping = normalizeModeMapping(sourceCollection, destinationCollection, msg.modeMapping);
+      modePlan = buildModeValuePlan(sourceCollection, destinationCollection, modeMapping, msg.fallbackModeId);
+    }
+    
+    const duplicatesForUI = result.duplicates.map(function(variable) {
+      const targetName = getTargetName(variable, nameOptions);
+      const existingVariable = destinationVariablesByName.get(targetName);
+      
+      return {
+        id: variable.id,
+        name: variable.name,
+        targetName: targetName,
+        type: getDisplayTypeName(variable.resolvedType),
+        existingType: getDisplayTypeName(existingVariable.resolvedType),
+        typeMatches: existingVariable.resolvedType === variable.resolvedType,
+        valuesMatch: variableValuesMatch(variable, existingVariable, modePlan)
+      };
+    });
+    
+    const canMoveForUI = result.canMove.map(function(variable) {
+      return {
+        id: variable.id,
+        name: variable.name,
+        type: getDisplayTypeName(variable.resolvedType)
+      };
+    });
+    
+    figma.ui.postMessage({
+      type: 'duplicates-check-result',
+      duplicates: duplicatesForUI,
+      canMove: canMoveForUI,
+      duplicateCount: duplicatesForUI.length,
+      canMoveCount: canMoveForUI.length
+    });
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'get-mode-mapping'
+  // ============================================
+  //
+  // Suggests how source modes line up with destination modes.
+  // The UI shows this so the user can adjust it before moving.
+  
+  if (msg.type === 'get-mode-mapping') {
+    
+    const sourceCollection = await figma.variables.getVariableCollectionByIdAsync(msg.sourceCollectionId);
+    const destinationCollection = await figma.variables.getVariableCollectionByIdAsync(msg.destinationCollectionId);
+    
+    if (!sourceCollection || !destinationCollection) {
+      return;
+    }
+    
+    figma.ui.postMessage({
+      type: 'mode-mapping',
+      sourceCollectionId: sourceCollection.id,
+      destinationCollectionId: destinationCollection.id,
+      modeMapping: buildDefaultModeMapping(sourceCollection.modes, destinationCollection.modes),
+      fallbackModeId: sourceCollection.defaultModeId
+    });
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'preview-move'
+  // ============================================
+  //
+  // A dry run of 'move-variables': same request, same plan, but we
+  // only report what would happen. The UI shows the report and
+  // sends 'move-variables' once the user confirms.
+  
+  if (msg.type === 'preview-move') {
+    
+    try {
+      const plan = await buildMovePlan(msg);
+      
+      if (plan.error) {
+        figma.ui.postMessage({
+          type: 'move-error',
+          message: plan.error.message
+        });
+        return;
+      }
+      
+      const preview = await analyzeMoveImpact(plan);
+      
+      figma.ui.postMessage({
+        type: 'move-preview',
+        preview: preview
+      });
+      
+    } catch (error) {
+      console.error('Preview failed:', error);
+      figma.ui.postMessage({
+        type: 'move-error',
+        message: 'Could not check the move: ' + error.message
+      });
+    }
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'cancel-move'
+  // ============================================
+  //
+  // Only sets a flag; the running move rolls back at its next check.
+  // Messages are handled while the move awaits, so this gets through.
+  
+  if (msg.type === 'cancel-move') {
+    moveCancelRequested = true;
+    console.log('Cancel requested');
+    return;
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'move-variables'
+  // ============================================
+  // 
+  // This is the main action! Now with proper alias support.
+  //
+  // The process is now THREE phases (instead of two):
+  //
+  // PHASE 1: Create all new variables (WITHOUT values)
+  //          This builds the ID mapping we need for alias resolution
+  //
+  // PHASE 2: Copy all values (WITH alias support)
+  //          Now we can properly update alias references because
+  //          we know the new IDs of all moved variables
+  //
+  // PHASE 3: Update layer bindings
+  //
+  // PHASE 3B: Re-point aliases in variables that stay behind
+  //
+  // PHASE 4: Delete old variables
+  //
+  // COPY MODE (operation: 'copy'):
+  // Only Phases 1 and 2 run. The originals keep their values,
+  // layer bindings and aliases.
+  //
+  // ALL-OR-NOTHING:
+  // If any variable fails in Phases 1-3, everything is rolled back
+  // before Phase 4 deletes anything (or, with failurePolicy
+  // 'keep-successful', only the failed variables are rolled back).
+  
+  if (msg.type === 'move-variables') {
+    
+    moveCancelRequested = false;
+    
+    // ===== NEW DESTINATION COLLECTION =====
+    //
+    // "New collection…" creates the destination first, then the move
+    // runs into it like into any existing collection. It is removed
+    // again if the move doesn't go ahead.
+    
+    let moveRequest = msg;
+    let createdCollection = null;
+    
+    if (!msg.destinationCollectionId && msg.newCollection && String(msg.newCollection.name || '').trim()) {
+      const source = await figma.variables.getVariableCollectionByIdAsync(msg.sourceCollectionId);
+      
+      if (source) {
+        try {
+          const result = createCollectionForMove(source, {
+            name: msg.newCollection.name.trim(),
+            modeNames: msg.newCollection.modeNames
+          });
+          createdCollection = result.collection;
+          moveRequest = Object.assign({}, msg, {
+            destinationCollectionId: createdCollection.id,
+            modeMapping: result.modeMapping
+          });
+          console.log('Created collection:', createdCollection.name);
+          
+        } catch (error) {
+          console.error('Failed to create collection:', error);
+          figma.notify('Could not create the new collection!');
+          figma.ui.postMessage({
+            type: 'move-error',
+            message: 'Could not create "' + msg.newCollection.name + '" with ' + source.modes.length + ' modes. Your plan may not allow that many modes.'
+          });
+          return;
+        }
+      }
+    }
+    
+    
+    // ===== VALIDATION & PLANNING =====
+    //
+    // buildMovePlan() checks the request and decides what happens to
+    // each selected variable, without changing anything yet. The
+    // 'preview-move' message uses the exact same plan.
+    
+    const plan = await buildMovePlan(moveRequest);
+    
+    if (plan.error) {
+      if (createdCollection) {
+        createdCollection.remove();
+      }
+      figma.notify(plan.error.notify);
+      figma.ui.postMessage({
+        type: 'move-error',
+        message: plan.error.message
+      });
+      return;
+    }
+    
+    const isCopy = plan.isCopy;
+    const sourceCollection = plan.sourceCollection;
+    const destinationCollection = plan.destinationCollection;
+    const variablesToCreate = plan.variablesToCreate;
+    const variablesToMerge = plan.variablesToMerge;
+    const skipped = plan.skipped;
+    const renamedCount = plan.renamedCount;
+    
+    
+    // ===== MODE MAPPING =====
+    //
+    // Work out which source mode's values go into which destination
+    // mode. Modes the user asked us to create are added now, before
+    // any variable is touched. If that fails partway, the modes added
+    // so far are removed again, so the destination is left unchanged.
+    
+    const modeMapping = plan.modeMapping;
+    let createdModes = [];
+    
+    try {
+      createdModes = createMappedModes(sourceCollection, destinationCollection, modeMapping);
+    } catch (error) {
+      console.error('Failed to create modes:', error);
+      figma.notify('Could not create the missing modes!');
+      figma.ui.postMessage({
+        type: 'move-error',
+        message: 'Could not create modes in "' + destinationCollection.name + '". Your plan may not allow more modes.'
+      });
+      return;
+    }
+    
+    const modePlan = buildModeValuePlan(sourceCollection, destinationCollection, modeMapping, plan.fallbackModeId);
+    
+    figma.notify((isCopy ? 'Copying ' : 'Moving ') + (variablesToCreate.length + variablesToMerge.length) + ' variable(s)...');
+    
+    
+    // ===== PHASE 1: CREATE NEW VARIABLES (WITHOUT VALUES) =====
+    //
+    // We create all variables FIRST, before setting any values.
+    // This is crucial for handling variable aliases correctly.
+    //
+    // Why? Because a variable might reference another variable that
+    // we're also moving. We need to know the NEW ID of that variable
+    // before we can create the alias reference.
+    //
+    // By creating all variables first, we build a complete mapping
+    // of oldId → newVariable that we can use in Phase 2.
+    
+    const idMapping = {};  // Maps old variable ID → new variable object
+    let createSuccessCount = 0;
+    let createErrorCount = 0;
+    
+    // Everything we change before Phase 4 is recorded here, so it
+    // can be undone if any variable fails (see rollBackVariables)
+    const transaction = {
+      createdVariables: {},
+      overwrittenValues: {},
+      reboundBindings: [],
+      explicitModes: []
+    };
+    
+    // Variables that failed in any phase: old ID → { name, phase, reason }
+    const failures = {};
+    
+    // Look up originals by ID (for rolling back and reporting)
+    const originalsById = {};
+    for (const entry of variablesToCreate.concat(variablesToMerge)) {
+      originalsById[entry.variable.id] = entry.variable;
+    }
+    
+    // Undoes everything the move did so far (it must not have reached
+    // Phase 4). Used when the whole move fails and when it's cancelled.
+    async function rollBackWholeMove() {
+      const report = await rollBackVariables(transaction, Object.keys(originalsById), originalsById);
+      report.explicitModesRestored = await restoreExplicitModes(transaction.explicitModes, destinationCollection);
+      report.modesRemoved = [];
+      
+      for (const mode of createdModes) {
+        try {
+          destinationCollection.removeMode(mode.modeId);
+          report.modesRemoved.push(mode.name);
+        } catch (error) {
+          console.error('  Could not remove mode', mode.name, error);
+        }
+      }
+      
+      if (createdCollection) {
+        try {
+          createdCollection.remove();
+          report.collectionRemoved = createdCollection.name;
+        } catch (error) {
+          console.error('  Could not remove collection', createdCollection.name, error);
+        }
+      }
+      
+      return report;
+    }
+    
+    // Rolls back and tells the UI if the user pressed Cancel.
+    // Returns true when the move has to stop.
+    async function stopIfCancelled() {
+      if (!moveCancelRequested) {
+        return false;
+      }
+      
+      console.log('Move cancelled, rolling back...');
+      
+      const report = await rollBackWholeMove();
+      report.failures = [];
+      
+      figma.notify('Cancelled: nothing was ' + (isCopy ? 'copied' : 'moved'));
+      figma.ui.postMessage({
+        type: 'move-cancelled',
+        operation: plan.operation,
+        rollback: report
+      });
+      return true;
+    }
+    
+    // What Phases 1-3B found and did, for the steps and the report
+    // after them
+    let mergedCount = 0;
+    let overwrittenCount = 0;
+    let flatten = null;
+    let rebindSuccessCount = 0;
+    let rebindErrorCount = 0;
+    
+    // Failed bindings counted by kind, e.g. { 'text fontSize': 2 }
+    const rebindFailuresByKind = {};
+    
+    // Nodes that pin a source mode, and what happened to their pins
+    let explicitModeNodes = [];
+    let explicitModes = { remapped: [], unmatched: [], alreadyPinned: [] };
+    
+    let rollbackReport = null;
+    let oldVariableIds = [];
+    let aliasReferences = [];
+    let aliasRepointCount = 0;
+    let deleteCount = 0;
+    let keyChanges = [];
+    
+    // Anything that throws before the originals are deleted (a page
+    // that won't load, a layer that can't be read) undoes the whole
+    // move, so the file is never left half moved.
+    try {
+      
+      console.log('PHASE 1: Creating new variables (without values)...');
+      console.log('  Selected:', plan.selectedCount);
+      console.log('  Creating:', variablesToCreate.length, '(' + renamedCount + ' renamed)');
+      console.log('  Merging:', variablesToMerge.length);
+      console.log('  Skipped (duplicates):', skipped.length);
+      
+      for (let i = 0; i < variablesToCreate.length; i++) {
+        const entry = variablesToCreate[i];
+        const originalVariable = entry.variable;
+        
+        if (i % PROGRESS_INTERVAL === 0) {
+          postMoveProgress('create', entry.name, i, variablesToCreate.length, true);
+          await yieldToUI();
+          if (await stopIfCancelled()) return;
+        }
+        
+        try {
+          // Create the variable (but don't set values yet)
+          const newVariable = await createVariableInCollection(originalVariable, destinationCollection, entry.name);
+          
+          // Store the mapping
+          idMapping[originalVariable.id] = newVariable;
+          transaction.createdVariables[originalVariable.id] = newVariable;
+          
+          createSuccessCount++;
+          console.log('  Created:', entry.name);
+          
+        } catch (error) {
+          console.error('  Failed to create:', originalVariable.name, error);
+          createErrorCount++;
+          failures[originalVariable.id] = {
+            name: originalVariable.name,
+            phase: 'create',
+            reason: String(error)
+          };
+        }
+      }
+      
+      // Merged and overwritten variables don't get a new variable.
+      // Mapping them to the EXISTING destination variable means every
+      // later step (aliases, layer bindings, deletion) just works.
+      for (const entry of variablesToMerge) {
+        idMapping[entry.variable.id] = entry.existingVariable;
+        
+        if (entry.strategy === 'overwrite') {
+          overwrittenCount++;
+          
+          // Keep the existing values so a rollback can put them back
+          transaction.overwrittenValues[entry.variable.id] = {
+            variable: entry.existingVariable,
+            valuesByMode: Object.assign({}, entry.existingVariable.valuesByMode)
+          };
+        } else {
+          mergedCount++;
+        }
+        console.log('  Mapped to existing:', entry.variable.name, '(' + entry.strategy + ')');
+      }
+      
+      console.log('PHASE 1 complete:', createSuccessCount, 'created,', createErrorCount, 'failed');
+      
+      if (await stopIfCancelled()) return;
+      
+      
+      // ===== PHASE 2: COPY VALUES (WITH ALIAS SUPPORT) =====
+      //
+      // Now that all variables exist and we have the ID mapping,
+      // we can properly copy values including aliases.
+      //
+      // For each alias value:
+      //   - If the referenced variable is also being moved → use new ID
+      //   - If not → keep the original reference (cross-collection)
+      //
+      // In copy mode the user can choose to keep aliases inside the
+      // copied set pointing at the ORIGINALS instead of the copies.
+      // An empty mapping makes every alias a "not being moved" alias.
+      
+      console.log('PHASE 2: Copying values...');
+      
+      // Flattening always keeps aliases inside the set on the copies:
+      // the point is a destination that stands on its own.
+      const aliasMapping = (isCopy && plan.copyAliasTarget === 'originals' && !plan.flattenAliases) ? {} : idMapping;
+      
+      if (plan.flattenAliases) {
+        flatten = { modeNames: {}, flattened: [] };
+        for (const mode of sourceCollection.modes) {
+          flatten.modeNames[mode.modeId] = mode.name;
+        }
+      }
+      
+      let valueSuccessCount = 0;
+      let valueErrorCount = 0;
+      
+      // New variables get their values copied. Overwritten variables
+      // get their existing values replaced. Merged ones keep theirs.
+      const variablesToCopy = variablesToCreate.map(function(entry) {
+        return entry.variable;
+      });
+      for (const entry of variablesToMerge) {
+        if (entry.strategy === 'overwrite') {
+          variablesToCopy.push(entry.variable);
+        }
+      }
+      
+      for (let i = 0; i < variablesToCopy.length; i++) {
+        const originalVariable = variablesToCopy[i];
+        const newVariable = idMapping[originalVariable.id];
+        
+        if (i % PROGRESS_INTERVAL === 0) {
+          postMoveProgress('values', originalVariable.name, i, variablesToCopy.length, true);
+          await yieldToUI();
+          if (await stopIfCancelled()) return;
+        }
+        
+        if (!newVariable) {
+          // Already recorded as a Phase 1 failure
+          console.error('  No new variable found for:', originalVariable.name);
+          valueErrorCount++;
+          continue;
+        }
+        
+        try {
+          await copyVariableValues(originalVariable, newVariable, modePlan, aliasMapping, flatten);
+          valueSuccessCount++;
+          console.log('  Copied values:', originalVariable.name);
+          
+        } catch (error) {
+          console.error('  Failed to copy values:', originalVariable.name, error);
+          valueErrorCount++;
+          failures[originalVariable.id] = {
+            name: originalVariable.name,
+            phase: 'values',
+            reason: String(error)
+          };
+        }
+      }
+      
+      console.log('PHASE 2 complete:', valueSuccessCount, 'copied,', valueErrorCount, 'failed');
+      
+      if (await stopIfCancelled()) return;
+      
+      
+      // ===== PHASE 3: UPDATE LAYER BINDINGS =====
+      //
+      // Skipped in copy mode: the originals stay where they are and
+      // keep their layer bindings.
+      
+      if (isCopy) {
+        console.log('Copy mode: skipping PHASE 3');
+      } else {
+        console.log('PHASE 3: Finding all variable bindings...');
+        
+        const index = await buildBindingIndex(Object.keys(idMapping), {
+          explicitModeCollectionId: sourceCollection.id,
+          onProgress: function(pageName, done, total) {
+            postMoveProgress('scan', pageName, done, total, true);
+          },
+          shouldStop: function() {
+            return moveCancelRequested;
+          }
+        });
+        
+        if (index.cancelled && await stopIfCancelled()) return;
+        
+        const allBindings = getIndexedBindings(index);
+        
+        console.log('  Found', allBindings.length, 'bindings to update');
+        
+        for (let i = 0; i < allBindings.length; i++) {
+          const binding = allBindings[i];
+          const newVariable = idMapping[binding.variableId];
+          
+          // Check now and then rather than on every binding
+          if (i % PROGRESS_INTERVAL === 0) {
+            postMoveProgress('rebind', binding.page ? binding.page.name : null, i, allBindings.length, true);
+            await yieldToUI();
+            if (await stopIfCancelled()) return;
+          }
+          
+          if (!newVariable) {
+            rebindErrorCount++;
+            continue;
+          }
+          
+          const success = await rebindVariable(binding, newVariable);
+          const kindName = describeBinding(binding);
+          
+          if (success) {
+            rebindSuccessCount++;
+            transaction.reboundBindings.push(binding);
+            console.log('  Rebound:', binding.node.name, '->', kindName);
+          } else {
+            rebindErrorCount++;
+            rebindFailuresByKind[kindName] = (rebindFailuresByKind[kindName] || 0) + 1;
+            if (!failures[binding.variableId]) {
+              failures[binding.variableId] = {
+                name: originalsById[binding.variableId].name,
+                phase: 'rebind',
+                reason: 'Could not rebind ' + kindName + ' on ' + (binding.page ? 'layer' : 'style') + ' "' + binding.node.name + '"'
+              };
+            }
+          }
+        }
+        
+        // Layers that pin a source mode would otherwise show the moved
+        // variables in the destination's default mode. Pin the mode the
+        // values were copied into instead.
+        
+        explicitModeNodes = index.explicitModeNodes;
+        explicitModes = remapExplicitModes(explicitModeNodes, sourceCollection, destinationCollection, modeMapping);
+        transaction.explicitModes = explicitModes.remapped;
+        
+        console.log('  Remapped explicit modes on', explicitModes.remapped.length, 'nodes,', explicitModes.unmatched.length, 'without a matching mode,', explicitModes.alreadyPinned.length, 'already pinned');
+        console.log('PHASE 3 complete:', rebindSuccessCount, 'rebound,', rebindErrorCount, 'failed');
+      }
+      
+      // Last chance to cancel: from here on originals get deleted
+      if (await stopIfCancelled()) return;
+      
+      
+      // ===== CHECK FOR FAILURES (ALL-OR-NOTHING) =====
+      //
+      // Nothing has been deleted yet, so any failure can still be undone.
+      //
+      //   'rollback' (default) → undo the whole move and stop
+      //   'keep-successful'    → undo only the variables that failed
+      //                          and carry on with the rest
+      
+      const failedIds = Object.keys(failures);
+      
+      if (failedIds.length > 0) {
+        
+        const failureList = failedIds.map(function(id) {
+          return failures[id];
+        });
+        
+        if (plan.failurePolicy === 'keep-successful') {
+          
+          console.log('Keeping successful variables, rolling back', failedIds.length, 'failed');
+          
+          rollbackReport = await rollBackVariables(transaction, failedIds, originalsById);
+          rollbackReport.failures = failureList;
+          
+          for (const id of failedIds) {
+            delete idMapping[id];
+          }
+          
+        } else {
+          
+          console.log('Rolling back the whole move:', failedIds.length, 'variable(s) failed');
+          
+          rollbackReport = await rollBackWholeMove();
+          rollbackReport.failures = failureList;
+          
+          figma.notify('Nothing was ' + (isCopy ? 'copied' : 'moved') + ': ' + failedIds.length + ' variable(s) failed');
+          figma.ui.postMessage({
+            type: 'move-rolled-back',
+            operation: plan.operation,
+            rollback: rollbackReport
+          });
+          return;
+        }
+        
+        if (Object.keys(idMapping).length === 0) {
+          if (createdCollection) {
+            createdCollection.remove();
+            rollbackReport.collectionRemoved = createdCollection.name;
+          }
+          figma.notify('Nothing was ' + (isCopy ? 'copied' : 'moved') + ': every variable failed');
+          figma.ui.postMessage({
+            type: 'move-rolled-back',
+            operation: plan.operation,
+            rollback: rollbackReport
+          });
+          return;
+        }
+      }
+      
+      
+      // ===== COPY MODE: STOP HERE =====
+      //
+      // When copying, the originals stay where they are, so there is
+      // nothing to re-point or delete.
+      
+      oldVariableIds = Object.keys(idMapping);
+      
+      if (isCopy) {
+        console.log('Copy mode: skipping PHASES 3B and 4');
+      } else {
+        
+        // ===== PHASE 3B: RE-POINT ALIASES IN VARIABLES THAT STAY BEHIND =====
+        //
+        // Variables that were NOT selected (in the source collection or in
+        // any other collection) may still link to a variable we just moved.
+        // Phase 2 only updates aliases on the moved variables themselves,
+        // so we update these links here before the originals are deleted.
+        
+        console.log('PHASE 3B: Re-pointing aliases in other variables...');
+        
+        aliasReferences = await findAliasReferences(oldVariableIds, oldVariableIds);
+        aliasRepointCount = repointAliases(aliasReferences, idMapping);
+        
+        console.log('PHASE 3B complete:', aliasRepointCount, 'aliases re-pointed');
+      }
+    } catch (error) {
+      console.error('Move failed, rolling back:', error);
+      
+      let report;
+      try {
+        report = await rollBackWholeMove();
+      } catch (rollbackError) {
+        console.error('Could not roll back the move:', rollbackError);
+        figma.notify('The move failed and could not be fully undone!');
+        figma.ui.postMessage({
+          type: 'move-error',
+          message: 'The move failed (' + error.message + ') and could not be fully undone: ' + rollbackError.message
+        });
+        return;
+      }
+      report.failures = [];
+      
+      figma.notify('Nothing was ' + (isCopy ? 'copied' : 'moved') + ': ' + error.message);
+      figma.ui.postMessage({
+        type: 'move-rolled-back',
+        operation: plan.operation,
+        rollback: report,
+        message: error.message
+      });
+      return;
+    }
+    
+    
+    // ===== PHASE 4: DELETE OLD VARIABLES =====
+    
+    if (!isCopy) {
+      
+      // Keys can't be read once the originals are deleted
+      keyChanges = oldVariableIds.map(function(oldId) {
+        return {
+          oldKey: originalsById[oldId].key,
+          newKey: idMapping[oldId].key,
+          name: originalsById[oldId].name,
+          newName: idMapping[oldId].name
+        };
+      });
+      
+      console.log('PHASE 4: Deleting old variables...');
+      
+      for (const oldVariableId of oldVariableIds) {
+        try {
+          const oldVariable = originalsById[oldVariableId];
+          if (oldVariable) {
+            oldVariable.remove();
+            deleteCount++;
+          }
+        } catch (error) {
+          console.error('  Failed to delete variable:', oldVariableId, error);
+        }
+      }
+      
+      console.log('PHASE 4 complete:', deleteCount, 'deleted');
+      
+      // Consumer files of a library need this to find the new variables
+      recordKeyChanges(keyChanges);
+    }
+    
+    
+    // ===== MERGE COLLECTION: EMPTY SOURCE =====
+    //
+    // The source collection is removed if nothing is left in it
+    // (skipped duplicates keep it alive). Explicit modes were already
+    // remapped in Phase 3; the pins on the source go with it.
+    
+    let sourceRemoved = false;
+    
+    // Read before the collection can be removed
+    const sourceInfo = {
+      id: sourceCollection.id,
+      name: sourceCollection.name,
+      modes: sourceCollection.modes
+    };
+    
+    if (plan.isMergeCollection) {
+      if (sourceCollection.variableIds.length === 0) {
+        for (const entry of explicitModeNodes) {
+          try {
+            entry.node.clearExplicitVariableModeForCollection(sourceCollection);
+          } catch (error) {
+            console.error('  Could not clear explicit mode on', entry.node.name, error);
+          }
+        }
+        
+        sourceCollection.remove();
+        sourceRemoved = true;
+        console.log('MERGE: Removed empty collection', sourceInfo.name);
+      } else {
+        console.log('MERGE: Kept', sourceCollection.name, '-', sourceCollection.variableIds.length, 'variable(s) left');
+      }
+    }
+    
+    
+    // ===== SAVE THE MOVE JOURNAL (FOR UNDO) =====
+    
+    const journalSaved = saveMoveJournal({
+      operation: plan.operation,
+      timestamp: new Date().toISOString(),
+      sourceCollectionId: sourceInfo.id,
+      sourceName: sourceInfo.name,
+      sourceModes: sourceInfo.modes,
+      sourceRemoved: sourceRemoved,
+      explicitModes: explicitModes.remapped,
+      destinationCollectionId: destinationCollection.id,
+      destinationName: destinationCollection.name,
+      variables: oldVariableIds.map(function(oldId) {
+        const snapshot = transaction.overwrittenValues[oldId];
+        return {
+          original: serializeVariable(originalsById[oldId]),
+          newId: idMapping[oldId].id,
+          created: Boolean(transaction.createdVariables[oldId]),
+          overwrittenValues: snapshot ? snapshot.valuesByMode : null
+        };
+      }),
+      bindings: transaction.reboundBindings.map(serializeBinding),
+      aliases: aliasReferences.map(function(reference) {
+        return {
+          variableId: reference.variable.id,
+          modeId: reference.modeId,
+          targetId: reference.targetId
+        };
+      }),
+      createdModeIds: createdModes.map(function(mode) {
+        return mode.modeId;
+      }),
+      createdCollection: Boolean(createdCollection)
+    });
+    
+    
+    // ===== ADD A HISTORY ENTRY =====
+    
+    const mergeStrategies = {};
+    for (const entry of variablesToMerge) {
+      mergeStrategies[entry.variable.id] = entry.strategy;
+    }
+    
+    const historyEntry = {
+      timestamp: new Date().toISOString(),
+      user: getCurrentUserInfo(),
+      operation: plan.operation,
+      sourceCollection: sourceInfo.name,
+      destinationCollection: destinationCollection.name,
+      variables: oldVariableIds.map(function(oldId) {
+        return {
+          oldId: oldId,
+          oldName: originalsById[oldId].name,
+          newId: idMapping[oldId].id,
+          newName: idMapping[oldId].name,
+          result: mergeStrategies[oldId] || 'created'
+        };
+      }),
+      skipped: skipped.map(function(variable) {
+        return {
+          id: variable.id,
+          name: variable.name
+        };
+      }),
+      rolledBack: rollbackReport ? rollbackReport.variables : [],
+      rebind: {
+        success: rebindSuccessCount,
+        failed: rebindErrorCount
+      },
+      aliasesRepointed: aliasRepointCount,
+      explicitModes: {
+        remapped: explicitModes.remapped.length,
+        unmatched: explicitModes.unmatched
+      }
+    };
+    
+    addHistoryEntry(historyEntry);
+    
+    
+    // ===== SEND RESULTS TO UI =====
+    
+    // Local styles whose definitions now use the moved variables
+    // (rolled-back bindings have already been removed from the list)
+    const updatedStyleNames = [];
+    for (const binding of transaction.reboundBindings) {
+      if (!binding.page && updatedStyleNames.indexOf(binding.node.name) === -1) {
+        updatedStyleNames.push(binding.node.name);
+      }
+    }
+    
+    const movedCount = createSuccessCount - (rollbackReport ? rollbackReport.variablesRemoved : 0);
+    
+    let summaryMessage = (isCopy ? 'Copied ' : 'Moved ') + movedCount + ' variable';
+    if (movedCount !== 1) summaryMessage += 's';
+    summaryMessage += ' to "' + destinationCollection.name + '"';
+    
+    if (mergedCount + overwrittenCount > 0) {
+      summaryMessage += ', merged ' + (mergedCount + overwrittenCount);
+    }
+    
+    if (skipped.length > 0) {
+      summaryMessage += ' (' + skipped.length + ' skipped)';
+    }
+    
+    if (aliasRepointCount > 0) {
+      summaryMessage += ', ' + aliasRepointCount + ' alias';
+      if (aliasRepointCount !== 1) summaryMessage += 'es';
+      summaryMessage += ' updated';
+    }
+    
+    if (rollbackReport) {
+      summaryMessage += ', ' + rollbackReport.variables.length + ' failed and rolled back';
+    }
+    
+    if (sourceRemoved) {
+      summaryMessage += ', removed "' + sourceInfo.name + '"';
+    }
+    
+    figma.notify(summaryMessage);
     
     figma.ui.postMessage({
-      type: 'collections-list',
-      collections: collections
+      type: 'move-complete',
+      operation: plan.operation,
+      successCount: movedCount,
+      errorCount: createErrorCount,
+      skippedCount: skipped.length,
+      renamedCount: renamedCount,
+      mergedCount: mergedCount,
+      overwrittenCount: overwrittenCount,
+      rebindSuccessCount: rebindSuccessCount,
+      rebindErrorCount: rebindErrorCount,
+      updatedStyles: updatedStyleNames,
+      rebindFailures: Object.keys(rebindFailuresByKind).map(function(kindName) {
+        return { kind: kindName, count: rebindFailuresByKind[kindName] };
+      }),
+      aliasRepointCount: aliasRepointCount,
+      createdModes: createdModes.map(function(mode) {
+        return mode.name;
+      }),
+      deletedCount: deleteCount,
+      rollback: rollbackReport,
+      undoAvailable: journalSaved,
+      createdCollection: createdCollection ? createdCollection.name : null,
+      sourceName: sourceInfo.name,
+      sourceRemoved: sourceRemoved,
+      explicitModesRemapped: explicitModes.remapped.length,
+      explicitModesUnmatched: explicitModes.unmatched,
+      explicitModesAlreadyPinned: explicitModes.alreadyPinned,
+      // Only variables that made it (keep-successful may drop some)
+      flattenedValues: flatten ? flatten.flattened.filter(function(entry) {
+        return Boolean(idMapping[entry.variableId]);
+      }) : [],
+      destinationName: destinationCollection.name
     });
   }
   
   
   // ============================================
-  // MESSAGE TYPE: 'get-variables-preview'
+  // MESSAGE TYPE: 'get-last-move'
   // ============================================
+  //
+  // Tells the UI whether there is a move that can be undone.
   
-  if (msg.type === 'get-variables-preview') {
-    const collectionId = msg.collectionId;
-    const variables = await getVariablesInCollection(collectionId);
-    
-    const preview = variables.map(function(variable) {
-      return {
-        id: variable.id,
-        name: variable.name,
-        type: getDisplayTypeName(variable.resolvedType),
-        description: variable.description || ''
-      };
-    });
-    
+  if (msg.type === 'get-last-move') {
     figma.ui.postMessage({
-      type: 'variables-preview',
-      variables: preview,
-      count: preview.length
+      type: 'last-move',
+      lastMove: summarizeMoveJournal(loadMoveJournal())
     });
   }
   
   
   // ============================================
-  // MESSAGE TYPE: 'check-duplicates'
+  // MESSAGE TYPE: 'get-history'
   // ============================================
   
-  if (msg.type === 'check-duplicates') {
-    
-    const sourceCollectionId = msg.sourceCollectionId;
-    const destinationCollectionId = msg.destinationCollectionId;
-    
-    const sourceVariables = await getVariablesInCollection(sourceCollectionId);
-    const destinationNames = await getVariableNamesInCollection(destinationCollectionId);
-    
-    const result = findDuplicateNames(sourceVariables, destinationNames);
-    
-    const duplicatesForUI = result.duplicates.map(function(variable) {
-      return {
-        id: variable.id,
-        name: variable.name,
-        type: getDisplayTypeName(variable.resolvedType)
-      };
-    });
-    
-    const canMoveForUI = result.canMove.map(function(variable) {
-      return {
-        id: variable.id,
-        name: variable.name,
-        type: getDisplayTypeName(variable.resolvedType)
-      };
-    });
-    
+  if (msg.type === 'get-history') {
     figma.ui.postMessage({
-      type: 'duplicates-check-result',
-      duplicates: duplicatesForUI,
-      canMove: canMoveForUI,
-      duplicateCount: duplicatesForUI.length,
-      canMoveCount: canMoveForUI.length
+      type: 'history',
+      entries: getHistoryEntries()
     });
   }
   
   
   // ============================================
-  // MESSAGE TYPE: 'move-variables'
+  // MESSAGE TYPE: 'undo-last-move'
   // ============================================
-  // 
-  // This is the main action! Now with proper alias support.
-  //
-  // The process is now THREE phases (instead of two):
-  //
-  // PHASE 1: Create all new variables (WITHOUT values)
-  //          This builds the ID mapping we need for alias resolution
-  //
-  // PHASE 2: Copy all values (WITH alias support)
-  //          Now we can properly update alias references because
-  //          we know the new IDs of all moved variables
-  //
-  // PHASE 3: Update layer bindings
-  //
-  // PHASE 4: Delete old variables
   
-  if (msg.type === 'move-variables') {
-    
-    const sourceCollectionId = msg.sourceCollectionId;
-    const destinationCollectionId = msg.destinationCollectionId;
-    const selectedVariableIds = msg.selectedVariableIds || [];
+  if (msg.type === 'undo-last-move') {
     
-    // ===== VALIDATION =====
+    const journal = loadMoveJournal();
     
-    if (!sourceCollectionId || !destinationCollectionId) {
-      figma.notify('Please select both source and destination collections!');
+    if (!journal) {
       figma.ui.postMessage({
-        type: 'move-error',
-        message: 'Please select both collections before moving.'
+        type: 'undo-error',
+        message: 'There is no move to undo.'
       });
       return;
     }
     
-    if (sourceCollectionId === destinationCollectionId) {
-      figma.notify('Source and destination cannot be the same!');
+    console.log('Undoing last', journal.operation, 'from "' + journal.sourceName + '" to "' + journal.destinationName + '"');
+    
+    try {
+      const report = await undoMove(journal);
+      clearMoveJournal();
+      
+      figma.notify('Undid the last ' + journal.operation + ' (' + journal.variables.length + ' variable(s))');
       figma.ui.postMessage({
-        type: 'move-error',
-        message: 'You cannot move variables to the same collection.'
+        type: 'undo-complete',
+        report: report,
+        sourceName: journal.sourceName,
+        destinationName: journal.destinationName
       });
-      return;
-    }
-    
-    if (selectedVariableIds.length === 0) {
-      figma.notify('No variables selected!');
+      
+    } catch (error) {
+      console.error('Undo failed:', error);
+      figma.notify('Could not undo the last move');
       figma.ui.postMessage({
-        type: 'move-error',
-        message: 'Please select at least one variable to move.'
+        type: 'undo-error',
+        message: error.message
       });
-      return;
     }
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'export-tokens'
+  // ============================================
+  //
+  // Exports the selected variables as a W3C Design Tokens file.
+  // The UI turns the result into a download.
+  
+  if (msg.type === 'export-tokens') {
     
-    // Fetch the collection objects
-    const sourceCollection = await figma.variables.getVariableCollectionByIdAsync(sourceCollectionId);
-    const destinationCollection = await figma.variables.getVariableCollectionByIdAsync(destinationCollectionId);
+    const collection = await figma.variables.getVariableCollectionByIdAsync(msg.collectionId);
     
-    if (!sourceCollection || !destinationCollection) {
-      figma.notify('One of the collections no longer exists!');
+    if (!collection) {
       figma.ui.postMessage({
-        type: 'move-error',
-        message: 'Collection not found. It may have been deleted.'
+        type: 'export-error',
+        message: 'Could not find the source collection.'
       });
       return;
     }
     
-    // Get selected variables
-    const selectedIdsSet = new Set(selectedVariableIds);
-    const allSourceVariables = await getVariablesInCollection(sourceCollectionId);
-    
-    const variablesToMove = allSourceVariables.filter(function(variable) {
-      return selectedIdsSet.has(variable.id);
+    const selectedIds = new Set(msg.variableIds);
+    const variables = (await getVariablesInCollection(collection.id)).filter(function(variable) {
+      return selectedIds.has(variable.id);
     });
     
-    if (variablesToMove.length === 0) {
-      figma.notify('No valid variables to move!');
+    console.log('Exporting', variables.length, 'variable(s) from', collection.name, 'as design tokens');
+    
+    try {
+      const result = await buildDesignTokens(collection, variables);
+      
+      figma.notify('Exported ' + result.count + ' variable(s) as design tokens');
       figma.ui.postMessage({
-        type: 'move-error',
-        message: 'The selected variables could not be found.'
+        type: 'tokens-exported',
+        fileName: collection.name.replace(/[^\w-]+/g, '-').toLowerCase() + '.tokens.json',
+        tokens: result.tokens,
+        count: result.count,
+        missingAliases: result.missingAliases,
+        collisions: result.collisions
+      });
+      
+    } catch (error) {
+      console.error('Export failed:', error);
+      figma.ui.postMessage({
+        type: 'export-error',
+        message: error.message
       });
-      return;
     }
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'import-tokens'
+  // ============================================
+  //
+  // msg.tokens is the parsed JSON file, msg.collectionId the
+  // collection to create the variables in.
+  
+  if (msg.type === 'import-tokens') {
     
-    // Check for duplicates
-    const destinationNames = await getVariableNamesInCollection(destinationCollectionId);
-    const { duplicates, canMove: safeToMove } = findDuplicateNames(variablesToMove, destinationNames);
+    const collection = await figma.variables.getVariableCollectionByIdAsync(msg.collectionId);
     
-    if (safeToMove.length === 0) {
-      figma.notify('All selected variables have duplicate names!');
+    if (!collection) {
       figma.ui.postMessage({
-        type: 'move-error',
-        message: 'All selected variables already exist in the destination.'
+        type: 'import-error',
+        message: 'Could not find the collection to import into.'
       });
       return;
     }
     
-    figma.notify('Moving ' + safeToMove.length + ' variable(s)...');
-    
-    
-    // ===== PHASE 1: CREATE NEW VARIABLES (WITHOUT VALUES) =====
-    //
-    // We create all variables FIRST, before setting any values.
-    // This is crucial for handling variable aliases correctly.
-    //
-    // Why? Because a variable might reference another variable that
-    // we're also moving. We need to know the NEW ID of that variable
-    // before we can create the alias reference.
-    //
-    // By creating all variables first, we build a complete mapping
-    // of oldId → newVariable that we can use in Phase 2.
-    
-    const idMapping = {};  // Maps old variable ID → new variable object
-    let createSuccessCount = 0;
-    let createErrorCount = 0;
-    
-    console.log('PHASE 1: Creating new variables (without values)...');
-    console.log('  Selected:', selectedVariableIds.length);
-    console.log('  Moving:', safeToMove.length);
-    console.log('  Skipped (duplicates):', duplicates.length);
+    console.log('Importing design tokens into', collection.name);
     
-    for (const originalVariable of safeToMove) {
-      try {
-        // Create the variable (but don't set values yet)
-        const newVariable = await createVariableInCollection(originalVariable, destinationCollection);
-        
-        // Store the mapping
-        idMapping[originalVariable.id] = newVariable;
-        
-        createSuccessCount++;
-        console.log('  Created:', originalVariable.name);
-        
-      } catch (error) {
-        console.error('  Failed to create:', originalVariable.name, error);
-        createErrorCount++;
-      }
+    try {
+      const report = await importDesignTokens(msg.tokens, collection, {
+        conflictStrategy: msg.conflictStrategy,
+        createMissingModes: msg.createMissingModes
+      });
+      
+      figma.notify('Imported ' + (report.created + report.overwritten) + ' variable(s) into "' + collection.name + '"');
+      figma.ui.postMessage({
+        type: 'tokens-imported',
+        collectionName: collection.name,
+        report: report
+      });
+      
+    } catch (error) {
+      console.error('Import failed:', error);
+      figma.ui.postMessage({
+        type: 'import-error',
+        message: error.message
+      });
     }
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'pack-variables'
+  // ============================================
+  //
+  // Packs the selected variables into a bundle for another file.
+  // The UI turns the result into a download.
+  
+  if (msg.type === 'pack-variables') {
     
-    console.log('PHASE 1 complete:', createSuccessCount, 'created,', createErrorCount, 'failed');
-    
-    
-    // ===== PHASE 2: COPY VALUES (WITH ALIAS SUPPORT) =====
-    //
-    // Now that all variables exist and we have the ID mapping,
-    // we can properly copy values including aliases.
-    //
-    // For each alias value:
-    //   - If the referenced variable is also being moved → use new ID
-    //   - If not → keep the original reference (cross-collection)
-    
-    console.log('PHASE 2: Copying values...');
+    const collection = await figma.variables.getVariableCollectionByIdAsync(msg.collectionId);
     
-    let valueSuccessCount = 0;
-    let valueErrorCount = 0;
+    if (!collection) {
+      figma.ui.postMessage({
+        type: 'export-error',
+        message: 'Could not find the source collection.'
+      });
+      return;
+    }
     
-    for (const originalVariable of safeToMove) {
+    try {
+      const selectedIds = new Set(msg.variableIds);
+      const variables = (await getVariablesInCollection(collection.id)).filter(function(variable) {
+        return selectedIds.has(variable.id);
+      });
       
-      const newVariable = idMapping[originalVariable.id];
+      console.log('Packing', variables.length, 'variable(s) from', collection.name);
       
-      if (!newVariable) {
-        console.error('  No new variable found for:', originalVariable.name);
-        valueErrorCount++;
-        continue;
-      }
+      const bundle = await packVariables(collection, variables);
       
-      try {
-        await copyVariableValues(originalVariable, newVariable, destinationCollection, idMapping);
-        valueSuccessCount++;
-        console.log('  Copied values:', originalVariable.name);
-        
-      } catch (error) {
-        console.error('  Failed to copy values:', originalVariable.name, error);
-        valueErrorCount++;
-      }
+      figma.notify('Packed ' + variables.length + ' variable(s)');
+      figma.ui.postMessage({
+        type: 'variables-packed',
+        fileName: collection.name.replace(/[^\w-]+/g, '-').toLowerCase() + '.bundle.json',
+        bundle: bundle,
+        count: variables.length,
+        externalAliasCount: Object.keys(bundle.aliasTargets).length
+      });
+      
+    } catch (error) {
+      console.error('Pack failed:', error);
+      figma.ui.postMessage({
+        type: 'export-error',
+        message: 'Could not pack the variables: ' + error.message
+      });
     }
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'unpack-bundle'
+  // ============================================
+  
+  if (msg.type === 'unpack-bundle') {
     
-    console.log('PHASE 2 complete:', valueSuccessCount, 'copied,', valueErrorCount, 'failed');
-    
-    
-    // ===== PHASE 3: UPDATE LAYER BINDINGS =====
-    
-    console.log('PHASE 3: Finding all variable bindings...');
-    
-    const oldVariableIds = Object.keys(idMapping);
-    const allBindings = await findAllVariableBindings(oldVariableIds);
-    
-    console.log('  Found', allBindings.length, 'bindings to update');
-    
-    let rebindSuccessCount = 0;
-    let rebindErrorCount = 0;
-    
-    for (const binding of allBindings) {
-      const newVariable = idMapping[binding.variableId];
-      
-      if (!newVariable) {
-        rebindErrorCount++;
-        continue;
-      }
+    try {
+      const report = await unpackBundle(msg.bundle, {
+        collectionId: msg.collectionId,
+        conflictStrategy: msg.conflictStrategy,
+        createMissingModes: msg.createMissingModes,
+        rebindByName: msg.rebindByName
+      });
       
-      const success = await rebindVariable(
-        binding.node,
-        binding.property,
-        newVariable,
-        binding.bindingIndex,
-        binding.isArrayBinding
-      );
+      figma.notify('Unpacked ' + (report.created + report.overwritten) + ' variable(s) into "' + report.collectionName + '"');
+      figma.ui.postMessage({
+        type: 'bundle-unpacked',
+        report: report
+      });
       
-      if (success) {
-        rebindSuccessCount++;
-        console.log('  Rebound:', binding.node.name, '->', binding.property);
-      } else {
-        rebindErrorCount++;
-      }
+    } catch (error) {
+      console.error('Unpack failed:', error);
+      figma.ui.postMessage({
+        type: 'import-error',
+        message: error.message
+      });
     }
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'get-key-map'
+  // ============================================
+  //
+  // The library side: the key map to hand to consumer files.
+  
+  if (msg.type === 'get-key-map') {
+    const keyMap = loadKeyMap();
     
-    console.log('PHASE 3 complete:', rebindSuccessCount, 'rebound,', rebindErrorCount, 'failed');
-    
-    
-    // ===== PHASE 4: DELETE OLD VARIABLES =====
-    
-    console.log('PHASE 4: Deleting old variables...');
-    
-    let deleteCount = 0;
+    figma.ui.postMessage({
+      type: 'key-map',
+      keyMap: {
+        format: KEY_MAP_FORMAT,
+        fileName: figma.root.name,
+        keys: keyMap
+      },
+      count: Object.keys(keyMap).length
+    });
+  }
+  
+  
+  // ============================================
+  // MESSAGE TYPE: 'repair-library-references'
+  // ============================================
+  //
+  // The consumer side: msg.keyMap is the map exported from the library.
+  
+  if (msg.type === 'repair-library-references') {
     
-    for (const oldVariableId of oldVariableIds) {
-      try {
-        const oldVariable = await figma.variables.getVariableByIdAsync(oldVariableId);
-        if (oldVariable) {
-          oldVariable.remove();
-          deleteCount++;
-        }
-      } catch (error) {
-        console.error('  Failed to delete variable:', oldVariableId, error);
-      }
+    if (!msg.keyMap || msg.keyMap.format !== KEY_MAP_FORMAT) {
+      figma.ui.postMessage({
+        type: 'repair-error',
+        message: 'This is not a key map exported by Variable Mover.'
+      });
+      return;
     }
     
-    console.log('PHASE 4 complete:', deleteCount, 'deleted');
-    
-    
-    // ===== SEND RESULTS TO UI =====
-    
-    let summaryMessage = 'Moved ' + createSuccessCount + ' variable';
-    if (createSuccessCount !== 1) summaryMessage += 's';
-    summaryMessage += ' to "' + destinationCollection.name + '"';
+    console.log('Repairing library references from', msg.keyMap.fileName);
     
-    if (duplicates.length > 0) {
-      summaryMessage += ' (' + duplicates.length + ' skipped)';
+    try {
+      const report = await repairLibraryReferences(msg.keyMap.keys);
+      
+      figma.notify('Rebound ' + report.rebound + ' layer binding(s) to the moved library variables');
+      figma.ui.postMessage({
+        type: 'repair-complete',
+        libraryName: msg.keyMap.fileName,
+        report: report
+      });
+      
+    } catch (error) {
+      console.error('Repair failed:', error);
+      figma.ui.postMessage({
+        type: 'repair-error',
+        message: error.message
+      });
     }
-    
-    figma.notify(summaryMessage);
-    
-    figma.ui.postMessage({
-      type: 'move-complete',
-      successCount: createSuccessCount,
-      errorCount: createErrorCount,
-      skippedCount: duplicates.length,
-      rebindSuccessCount: rebindSuccessCount,
-      rebindErrorCount: rebindErrorCount,
-      deletedCount: deleteCount,
-      destinationName: destinationCollection.name
-    });
   }
   
   